@@ -0,0 +1,242 @@
+// lib/auth.js
+// Users (users.json) with roles, API keys and signed session cookies.
+// API clients send "Authorization: Bearer <key>" (or X-API-Key); the dashboard
+// logs in with username/password and gets an HttpOnly session cookie.
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+const ROLES = ["user", "admin"];
+const SESSION_COOKIE = "sb_session";
+
+const AUTH_DEFAULTS = {
+  sessionSecret: process.env.SESSION_SECRET,
+  sessionTtlMs: (parseInt(process.env.SESSION_TTL_HOURS, 10) || 12) * 60 * 60 * 1000,
+};
+
+// "scrypt$<salt>$<hash>", both hex
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  return `scrypt$${salt}$${crypto.scryptSync(password, salt, 64).toString("hex")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// API keys are stored as their SHA-256 only
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function parseCookies(header = "") {
+  const cookies = {};
+  for (const part of String(header).split(";")) {
+    const i = part.indexOf("=");
+    if (i < 0) continue;
+    const name = part.slice(0, i).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch (e) {
+      // ignore malformed cookies
+    }
+  }
+  return cookies;
+}
+
+function createAuth({ file, ...options }) {
+  const opts = { ...AUTH_DEFAULTS, ...options };
+  if (!opts.sessionSecret) {
+    console.warn("SESSION_SECRET is not set; dashboard sessions will not survive a restart");
+    opts.sessionSecret = crypto.randomBytes(32).toString("hex");
+  }
+
+  function readUsers() {
+    try {
+      if (!fs.existsSync(file)) return {};
+      const raw = fs.readFileSync(file, "utf-8");
+      return raw ? JSON.parse(raw) : {};
+    } catch (e) {
+      console.error("Failed to read user store, returning empty:", e);
+      return {};
+    }
+  }
+
+  function writeUsers(users) {
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(users, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // what the API and req.user expose: no password hash, no key hashes
+  function publicUser(user) {
+    if (!user) return null;
+    return { id: user.id, username: user.username, role: user.role, createdAt: user.createdAt };
+  }
+
+  function listUsers() {
+    return Object.values(readUsers()).map(publicUser);
+  }
+
+  function getUser(id) {
+    return publicUser(readUsers()[id]);
+  }
+
+  function createUser({ username, password, role = "user" } = {}) {
+    if (typeof username !== "string" || !/^[\w.-]{3,50}$/.test(username)) {
+      throw new Error("username must be 3-50 letters, digits, _, . or -");
+    }
+    if (typeof password !== "string" || password.length < 8) throw new Error("password must be at least 8 characters");
+    if (!ROLES.includes(role)) throw new Error(`role must be one of: ${ROLES.join(", ")}`);
+
+    const users = readUsers();
+    if (Object.values(users).some(u => u.username.toLowerCase() === username.toLowerCase())) {
+      throw new Error(`username ${username} is taken`);
+    }
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      role,
+      passwordHash: hashPassword(password),
+      apiKeys: [],
+      createdAt: new Date().toISOString(),
+    };
+    users[user.id] = user;
+    writeUsers(users);
+    return publicUser(user);
+  }
+
+  function removeUser(id) {
+    const users = readUsers();
+    if (!users[id]) return false;
+    delete users[id];
+    writeUsers(users);
+    return true;
+  }
+
+  function login(username, password) {
+    const user = Object.values(readUsers()).find(u => u.username === username);
+    // hash anyway so unknown usernames take as long as wrong passwords
+    if (!user) {
+      verifyPassword(String(password), hashPassword("timing"));
+      return null;
+    }
+    return verifyPassword(password, user.passwordHash) ? publicUser(user) : null;
+  }
+
+  // the plain key is only returned here
+  function createApiKey(userId, name = "") {
+    const users = readUsers();
+    const user = users[userId];
+    if (!user) throw new Error("User not found.");
+    const key = `sb_${crypto.randomBytes(24).toString("base64url")}`;
+    const entry = {
+      id: crypto.randomUUID(),
+      name: String(name).slice(0, 100),
+      prefix: key.slice(0, 7),
+      hash: hashApiKey(key),
+      createdAt: new Date().toISOString(),
+    };
+    user.apiKeys = [...(user.apiKeys || []), entry];
+    writeUsers(users);
+    const { hash, ...rest } = entry;
+    return { ...rest, key };
+  }
+
+  function listApiKeys(userId) {
+    return (readUsers()[userId]?.apiKeys || []).map(({ hash, ...rest }) => rest);
+  }
+
+  function revokeApiKey(userId, keyId) {
+    const users = readUsers();
+    const user = users[userId];
+    if (!user || !(user.apiKeys || []).some(k => k.id === keyId)) return false;
+    user.apiKeys = user.apiKeys.filter(k => k.id !== keyId);
+    writeUsers(users);
+    return true;
+  }
+
+  function userForApiKey(key) {
+    if (!key) return null;
+    const hash = hashApiKey(key);
+    return publicUser(Object.values(readUsers()).find(u => (u.apiKeys || []).some(k => k.hash === hash)));
+  }
+
+  // session token: base64url({ uid, exp }).<HMAC>
+  function sign(data) {
+    return crypto.createHmac("sha256", opts.sessionSecret).update(data).digest("base64url");
+  }
+
+  function issueSession(user) {
+    const data = Buffer.from(JSON.stringify({ uid: user.id, exp: Date.now() + opts.sessionTtlMs })).toString("base64url");
+    return `${data}.${sign(data)}`;
+  }
+
+  function userForSession(token) {
+    const [data, sig] = String(token || "").split(".");
+    if (!data || !sig) return null;
+    const expected = Buffer.from(sign(data));
+    const actual = Buffer.from(sig);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    try {
+      const { uid, exp } = JSON.parse(Buffer.from(data, "base64url").toString());
+      return exp > Date.now() ? getUser(uid) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // user behind an HTTP request or socket handshake: API key first, then session cookie
+  function userFromHeaders(headers = {}, apiKey) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || "");
+    const key = apiKey || headers["x-api-key"] || bearer?.[1];
+    if (key) return userForApiKey(key);
+    return userForSession(parseCookies(headers.cookie)[SESSION_COOKIE]);
+  }
+
+  function sessionCookie(token, { secure = false } = {}) {
+    const maxAge = token ? Math.floor(opts.sessionTtlMs / 1000) : 0;
+    return `${SESSION_COOKIE}=${token || ""}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure ? "; Secure" : ""}`;
+  }
+
+  // first start: create an admin from ADMIN_USERNAME / ADMIN_PASSWORD (or a random password)
+  function ensureAdmin({ username = "admin", password } = {}) {
+    if (Object.keys(readUsers()).length) return null;
+    const generated = password || crypto.randomBytes(12).toString("base64url");
+    const user = createUser({ username, password: generated, role: "admin" });
+    return { user, password: password ? null : generated };
+  }
+
+  return {
+    listUsers,
+    getUser,
+    createUser,
+    removeUser,
+    login,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    issueSession,
+    userFromHeaders,
+    sessionCookie,
+    ensureAdmin,
+  };
+}
+
+// Express guards; run after the middleware that sets req.user
+function requireUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: "Authentication required." });
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: "Authentication required." });
+  if (req.user.role !== "admin") return res.status(403).json({ error: "Admin role required." });
+  next();
+}
+
+module.exports = { ROLES, SESSION_COOKIE, createAuth, requireUser, requireAdmin, parseCookies };
@@ -0,0 +1,65 @@
+// lib/cancel.js
+// Cancel requests reach workers over the job_control fanout exchange, so workers
+// never read the producer's job store. The producer announces the job id (again
+// when a cancelled job shows up as processing); every worker remembers the ids
+// it heard for a while and checks them at its checkpoints.
+
+const CONTROL_EXCHANGE = "job_control";
+const REMEMBER_MS = 24 * 60 * 60 * 1000;
+
+// action: "cancel", or "resume" when a job may run again (dead letter replayed)
+function announce(ch, action, jobId) {
+  try {
+    ch.publish(CONTROL_EXCHANGE, "", Buffer.from(JSON.stringify({ action, jobId, timestamp: new Date().toISOString() })));
+  } catch (e) {
+    console.error(`Failed to announce ${action} of ${jobId}:`, e.message);
+  }
+}
+
+// job ids cancelled within the last rememberMs
+function createCancelSet({ rememberMs = REMEMBER_MS } = {}) {
+  const cancelled = new Map(); // jobId -> time heard
+
+  function prune() {
+    const cutoff = Date.now() - rememberMs;
+    for (const [jobId, at] of cancelled) {
+      if (at >= cutoff) break; // insertion order = time order
+      cancelled.delete(jobId);
+    }
+  }
+
+  return {
+    add(jobId) {
+      cancelled.delete(jobId);
+      cancelled.set(jobId, Date.now());
+      prune();
+    },
+    delete(jobId) {
+      cancelled.delete(jobId);
+    },
+    has(jobId) {
+      prune();
+      return cancelled.has(jobId);
+    },
+  };
+}
+
+// worker side: apply every announcement to `cancels` (an exclusive queue per connection)
+async function listenForCancels(ch, cancels) {
+  await ch.assertExchange(CONTROL_EXCHANGE, "fanout", { durable: true });
+  const { queue } = await ch.assertQueue("", { exclusive: true });
+  await ch.bindQueue(queue, CONTROL_EXCHANGE, "");
+  await ch.consume(queue, (msg) => {
+    if (!msg) return;
+    try {
+      const { action, jobId } = JSON.parse(msg.content.toString());
+      if (!jobId) return;
+      if (action === "cancel") cancels.add(jobId);
+      else if (action === "resume") cancels.delete(jobId);
+    } catch (e) {
+      console.error("Invalid job control message:", e.message);
+    }
+  }, { noAck: true });
+}
+
+module.exports = { CONTROL_EXCHANGE, announce, createCancelSet, listenForCancels };
@@ -0,0 +1,82 @@
+// lib/export.js
+// ZIP export of job outputs (GET /export): files are renamed after the job's
+// original upload and a manifest.json describes every exported job.
+
+const path = require("path");
+const sharp = require("sharp");
+const yazl = require("yazl");
+
+const VARIANTS = ["processed", "watermarked"];
+
+function watermarkedName(fname) {
+  const ext = path.extname(fname);
+  return `${path.basename(fname, ext)}_wm${ext}`;
+}
+
+// processed files that belong to a job (every rendition, or the single output)
+function jobFiles(job) {
+  if (job.renditions?.length) return job.renditions;
+  const filename = job.processedFilename || (job.status === "success" ? job.filename : null);
+  return filename ? [{ name: null, filename, dimensions: job.dimensions }] : [];
+}
+
+// "<original base>[-<rendition>].<output ext>", made unique within the archive
+function archiveName(job, rendition, used) {
+  const original = path.basename(String(job.originalName || rendition.filename).replace(/\\/g, "/"));
+  const base = original.replace(/\.[^/.]+$/, "") || "image";
+  const ext = path.extname(rendition.filename);
+  const stem = rendition.name ? `${base}-${rendition.name}` : base;
+
+  let name = `${stem}${ext}`;
+  if (used.has(name)) name = `${stem}-${String(job.id).replace(/-/g, "").slice(0, 8)}${ext}`;
+  for (let i = 2; used.has(name); i++) name = `${stem}-${i}${ext}`;
+  used.add(name);
+  return name;
+}
+
+// Plan and start a ZIP of the given jobs' outputs in `variant`. Resolves to
+// { zip, files } where zip.outputStream is ready to pipe; files is 0 when
+// nothing could be exported (the caller should not stream an empty archive).
+async function createExport(storage, jobs, variant = "processed") {
+  const available = new Set(await storage.list(variant));
+  const used = new Set(["manifest.json"]);
+  const zip = new yazl.ZipFile();
+  const manifest = { variant, exportedAt: new Date().toISOString(), jobs: [] };
+  let files = 0;
+
+  for (const job of jobs) {
+    const entry = {
+      id: job.id,
+      originalName: job.originalName || null,
+      status: job.status || null,
+      recipe: job.recipe || null,
+      files: [],
+    };
+
+    for (const rendition of jobFiles(job)) {
+      const key = variant === "watermarked" ? watermarkedName(rendition.filename) : rendition.filename;
+      if (!available.has(key)) continue;
+
+      // older records carry no dimensions; read them from the file itself
+      let dimensions = rendition.dimensions;
+      if (!dimensions) {
+        const meta = await sharp(await storage.get(variant, key)).metadata();
+        dimensions = { width: meta.width, height: meta.height };
+      }
+
+      const name = archiveName(job, rendition, used);
+      zip.addReadStreamLazy(name, {}, (cb) => {
+        Promise.resolve(storage.stream(variant, key)).then(stream => cb(null, stream), cb);
+      });
+      entry.files.push({ name, source: key, rendition: rendition.name || null, ...dimensions });
+      files++;
+    }
+    manifest.jobs.push(entry);
+  }
+
+  zip.addBuffer(Buffer.from(JSON.stringify(manifest, null, 2)), "manifest.json");
+  zip.end();
+  return { zip, files };
+}
+
+module.exports = { VARIANTS, createExport };
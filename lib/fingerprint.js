@@ -0,0 +1,35 @@
+// lib/fingerprint.js
+// Content hashes for uploads and the dedup key (content + recipe) stored on each job
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+// SHA-256 of a file on disk, hex
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(file)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+// JSON with sorted keys, so { a, b } and { b, a } hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// same bytes + same (parsed) recipe -> same key
+function dedupKey(contentHash, recipe) {
+  return crypto.createHash("sha256").update(`${contentHash}:${stableStringify(recipe)}`).digest("hex");
+}
+
+module.exports = { hashFile, stableStringify, dedupKey };
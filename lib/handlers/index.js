@@ -0,0 +1,12 @@
+// lib/handlers/index.js
+// Job type -> handler run by worker.js. A handler exports
+//   { type, describe(job) -> { filename, originalName, dead }, run(job, ctx) -> result }
+// where result.status is success | skipped (both with output) | cancelled | declined,
+// and a thrown error is a failed attempt (retried, then dead-lettered).
+
+const HANDLERS = {
+  resize: require("./resize"),
+  watermark: require("./watermark"),
+};
+
+module.exports = { HANDLERS };
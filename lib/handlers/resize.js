@@ -0,0 +1,118 @@
+// lib/handlers/resize.js
+// Resize jobs: apply the recipe to the upload (or, for later workflow steps, to
+// the previous step's output) and write every rendition to "processed"
+
+const sharp = require("sharp");
+const path = require("path");
+const { DEFAULT_RECIPE, applyRecipe, renditionPlan, primaryRendition } = require("../recipe");
+const { extractMetadata, safeExif } = require("../metadata");
+const { missingOperations } = require("../operations");
+
+function sanitizeBaseName(name = "") {
+  const base = String(name)
+    .replace(/\.[^/.]+$/, "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^\w\s-]/g, "")
+    .trim()
+    .replace(/\s+/g, "-");
+  return base || "file";
+}
+
+function shortId(id) {
+  return String(id || "").replace(/-/g, "").slice(0, 8);
+}
+
+// files this job writes; the primary one is its processedFilename
+function planFor(job) {
+  const { jobId, filepath, filename, originalName, recipe = DEFAULT_RECIPE } = job;
+  const orig = originalName || filename || path.basename(filepath || "");
+  const plan = renditionPlan(recipe, `${sanitizeBaseName(orig)}-${shortId(jobId)}`);
+  // only multi-file jobs carry a rendition list
+  const renditions = plan.length > 1
+    ? plan.map(({ name, width, format, filename }) => ({ name, width, format, filename }))
+    : undefined;
+  return { orig, plan, procFilename: primaryRendition(plan).filename, renditions };
+}
+
+module.exports = {
+  type: "resize",
+
+  // what every log and the dead letter of this job name
+  describe(job) {
+    const { procFilename } = planFor(job);
+    return { filename: procFilename, originalName: job.originalName || null, dead: { processedFilename: procFilename } };
+  },
+
+  async run(job, { storage, log, discard, isCancelled, retries }) {
+    const { filepath, filename, originalName, recipe = DEFAULT_RECIPE } = job;
+    // older messages only carry the upload's local path
+    const uploadKey = filename || (filepath && path.basename(filepath));
+    // later workflow steps read the previous step's output, which is not theirs to delete
+    const source = job.source || { area: "uploads", key: uploadKey };
+    const { orig, plan, procFilename, renditions } = planFor(job);
+
+    // honor a cancel request: drop partial outputs and the upload
+    const cancelled = (written = []) => {
+      for (const f of written) discard("processed", f);
+      discard("uploads", uploadKey);
+      return { status: "cancelled" };
+    };
+    if (isCancelled()) return cancelled();
+
+    // redelivered after the job already completed (e.g. crash between writing and ack):
+    // every output is in storage, only a failed attempt leaves some of them
+    const done = await Promise.all(plan.map(r => storage.exists("processed", r.filename)));
+    if (done.every(Boolean)) {
+      discard("uploads", uploadKey);
+      return { status: "skipped", output: { area: "processed", key: procFilename } };
+    }
+
+    // a plugin this worker lacks (only when the producer found no capable worker
+    // to route it to): worker.js hands the job back, counting the hand-backs
+    const missing = [...new Set(plan.flatMap(r => missingOperations(r.recipe)))];
+    if (missing.length) return { status: "declined", reason: `lacks operation(s) ${missing.join(", ")}` };
+
+    log("processing", { retries });
+    const start = Date.now();
+
+    // Simulated failure for first attempt if filename contains 'fail'
+    const failFirstAttempt = orig.toLowerCase().includes("fail") && retries === 0;
+    if (failFirstAttempt) throw new Error("Simulated failure (first attempt for 'fail' filename)");
+
+    const original = await storage.get(source.area, source.key);
+    // metadata of the original goes into the job record (GET /jobs/:id/metadata)
+    const { metadata, exif } = await extractMetadata(original);
+    const keepExif = recipe.metadata === "strip-gps" ? safeExif(exif) : null;
+    const img = sharp(original);
+    const written = [];
+    const dimensions = {}; // filename -> { width, height } of what was actually written
+    for (const r of plan) {
+      if (isCancelled()) return cancelled(written);
+      const pipeline = await applyRecipe(img.clone(), r.recipe, { keepExif, readLogo: (name) => storage.get("logos", name) });
+      const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+      await storage.put("processed", r.filename, data);
+      written.push(r.filename);
+      dimensions[r.filename] = { width: info.width, height: info.height };
+    }
+    if (isCancelled()) return cancelled(written);
+
+    if (renditions) renditions.forEach((r) => { r.dimensions = dimensions[r.filename]; });
+
+    // the producer stores the results on the job record
+    log("success", {
+      processedFilename: procFilename,
+      renditions,
+      dimensions: dimensions[procFilename],
+      metadata,
+      originalName: originalName || orig,
+      duration: ((Date.now() - start) / 1000).toFixed(2),
+      retries,
+    });
+
+    // cleanup uploaded file
+    discard("uploads", uploadKey);
+
+    return { status: "success", output: { area: "processed", key: procFilename } };
+  },
+};
@@ -0,0 +1,57 @@
+// lib/handlers/watermark.js
+// Watermark jobs: composite the spec's text / logo layer onto a processed image
+// (or a later workflow step's output) and write it to "watermarked"
+
+const sharp = require("sharp");
+const path = require("path");
+const { DEFAULT_SPEC, watermarkLayer } = require("../watermark");
+
+module.exports = {
+  type: "watermark",
+
+  describe(job) {
+    return { filename: job.watermarkedFilename, originalName: job.originalName || job.processedFilename, dead: {} };
+  },
+
+  async run(job, { storage, log, isCancelled, retries }) {
+    const { processedFilename, watermarkedFilename, watermark = DEFAULT_SPEC } = job;
+    // workflow steps after a watermark step read from "watermarked"
+    const source = job.source || { area: "processed", key: processedFilename };
+    const output = { area: "watermarked", key: watermarkedFilename };
+
+    if (isCancelled()) return { status: "cancelled" };
+
+    // redelivered after the job already completed: the output is in storage, nothing to do
+    if (await storage.exists("watermarked", watermarkedFilename)) {
+      return { status: "skipped", output };
+    }
+
+    log("processing", { retries });
+
+    const img = sharp(await storage.get(source.area, source.key));
+    const meta = await img.metadata();
+    const w = meta.width || 800;
+    const h = meta.height || 600;
+
+    // text (SVG) or logo layer, tiled or placed
+    const layer = await watermarkLayer(watermark, w, h, (name) => storage.get("logos", name));
+
+    // Preserve original format + quality
+    const ext = path.extname(watermarkedFilename).toLowerCase();
+    let pipeline = img.composite([layer]);
+
+    if (ext === ".png") pipeline = pipeline.png({ compressionLevel: 9 });
+    else if (ext === ".jpg" || ext === ".jpeg") pipeline = pipeline.jpeg({ quality: 90 });
+    else if (ext === ".webp") pipeline = pipeline.webp({ quality: 90 });
+    else if (ext === ".avif") pipeline = pipeline.avif({ quality: 90 });
+
+    await storage.put("watermarked", watermarkedFilename, await pipeline.toBuffer());
+
+    // Success log, then watermarked (the producer updates the record)
+    log("success", { retries });
+    log("watermarked", { watermarkedFilename, retries });
+    console.log(`Watermarked: ${watermarkedFilename}`);
+
+    return { status: "success", output };
+  },
+};
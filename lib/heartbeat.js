@@ -0,0 +1,48 @@
+// lib/heartbeat.js
+// Periodic worker heartbeats on a fanout exchange; the producer keeps the registry
+
+const os = require("os");
+
+const HEARTBEAT_EXCHANGE = "worker_heartbeats";
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.WORKER_HEARTBEAT_MS, 10) || 5000;
+
+// getState() -> { currentJobs, processed, failed, ... } merged into every beat.
+// beat(status) also sets the status later beats report (running | stopping | stopped).
+function startHeartbeat(ch, { workerId, type, getState }) {
+  const startedAt = new Date().toISOString();
+  let current = "running";
+
+  function beat(status = current) {
+    current = status;
+    const payload = {
+      workerId: String(workerId),
+      type,
+      status,
+      pid: process.pid,
+      host: os.hostname(),
+      startedAt,
+      uptime: Math.round(process.uptime()),
+      memory: process.memoryUsage().rss,
+      ...getState(),
+      timestamp: new Date().toISOString(),
+    };
+    try {
+      ch.publish(HEARTBEAT_EXCHANGE, "", Buffer.from(JSON.stringify(payload)));
+    } catch (e) {
+      console.error("Failed to publish heartbeat:", e.message);
+    }
+  }
+
+  beat();
+  const timer = setInterval(() => beat(), HEARTBEAT_INTERVAL_MS);
+  timer.unref();
+
+  return {
+    beat,
+    stop() {
+      clearInterval(timer);
+    },
+  };
+}
+
+module.exports = { HEARTBEAT_EXCHANGE, HEARTBEAT_INTERVAL_MS, startHeartbeat };
@@ -0,0 +1,234 @@
+// lib/import.js
+// Server-side import sources for POST /import: image URLs, a directory or a ZIP
+// archive under IMPORT_ROOT. Every item is written to a temp file with size and
+// time limits; the producer turns each file into a job like an upload.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { pipeline } = require("stream/promises");
+const { Transform } = require("stream");
+const yauzl = require("yauzl");
+
+const IMPORT_LIMITS = {
+  root: path.resolve(process.env.IMPORT_ROOT || path.join(__dirname, "..", "imports")),
+  maxBytes: parseInt(process.env.IMPORT_MAX_BYTES, 10) || 25 * 1024 * 1024, // per image
+  timeoutMs: parseInt(process.env.IMPORT_TIMEOUT_MS, 10) || 15000, // per URL
+  maxItems: parseInt(process.env.IMPORT_MAX_ITEMS, 10) || 200,
+  maxRedirects: 5, // per URL
+  // hosts (and their subdomains) URLs may be imported from; empty = any public host
+  urlAllowlist: (process.env.IMPORT_URL_ALLOWLIST || "").split(",").map(h => h.trim().toLowerCase()).filter(Boolean),
+};
+
+// addresses a URL import must never reach: loopback, private, link-local, CGNAT,
+// documentation, multicast, reserved and unspecified ranges, IPv4-mapped/embedded IPv6
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [net4, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.88.99.0", 24], ["192.168.0.0", 16],
+  ["198.18.0.0", 15], ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) BLOCKED_ADDRESSES.addSubnet(net4, prefix, "ipv4");
+for (const [net6, prefix] of [
+  ["::", 96], ["::ffff:0:0", 96], ["64:ff9b::", 96], ["100::", 64], ["2001::", 23], ["2001:db8::", 32],
+  ["2002::", 16], ["fc00::", 7], ["fe80::", 10], ["fec0::", 10], ["ff00::", 8],
+]) BLOCKED_ADDRESSES.addSubnet(net6, prefix, "ipv6");
+
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp", ".gif", ".avif", ".tif", ".tiff"];
+
+function isImageName(name) {
+  return IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+// same shape as multer's random file names
+function tempName() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+// passes bytes through, failing once more than maxBytes went by
+function byteLimit(maxBytes) {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, enc, done) {
+      seen += chunk.length;
+      if (seen > maxBytes) return done(new Error(`larger than ${maxBytes} bytes`));
+      done(null, chunk);
+    },
+  });
+}
+
+async function writeLimited(source, dest, maxBytes) {
+  try {
+    await pipeline(source, byteLimit(maxBytes), fs.createWriteStream(dest));
+  } catch (err) {
+    fs.rmSync(dest, { force: true });
+    throw err;
+  }
+}
+
+// resolve a client-supplied path, refusing anything outside IMPORT_ROOT
+function resolveImportPath(p, root = IMPORT_LIMITS.root) {
+  const resolved = path.resolve(root, String(p));
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error("path must be inside the import root");
+  }
+  return resolved;
+}
+
+function allowlisted(hostname, allowlist) {
+  return allowlist.some(h => hostname === h || hostname.endsWith("." + h));
+}
+
+// Refuse a URL the producer must not fetch. With an allowlist only those hosts
+// pass (and may be internal); otherwise every address the host resolves to must
+// be public. Returns the dns lookup for the request: the check runs when the
+// socket connects, on the addresses it connects to, so a second resolution
+// (DNS rebinding) can't slip a private address past it.
+function checkImportUrl(url, allowlist, blocked = BLOCKED_ADDRESSES) {
+  if (!["http:", "https:"].includes(url.protocol)) throw new Error("only http(s) URLs can be imported");
+  const hostname = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (allowlist.length) {
+    if (!allowlisted(hostname, allowlist)) throw new Error(`host ${hostname} is not in IMPORT_URL_ALLOWLIST`);
+    return undefined;
+  }
+  const isBlocked = (address, family) => blocked.check(address, family === 6 ? "ipv6" : "ipv4");
+  const refused = () => new Error(`host ${hostname} resolves to a private or reserved address`);
+  // IP literals are connected to without a lookup
+  const ip = net.isIP(hostname);
+  if (ip) {
+    if (isBlocked(hostname, ip)) throw refused();
+    return undefined;
+  }
+  return (host, options, callback) => {
+    dns.lookup(host, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(new Error(`cannot resolve ${hostname}`));
+      if (addresses.some(({ address, family }) => isBlocked(address, family))) return callback(refused());
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+// GET url with the given dns lookup; resolves to the response (an IncomingMessage)
+function request(url, { lookup, signal }) {
+  const client = url.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    client.get(url, { lookup, signal }, resolve).on("error", reject);
+  });
+}
+
+// download one image URL into destDir; resolves to { path, originalname }.
+// Redirects are followed by hand so every hop gets the same host check.
+async function fetchToFile(url, destDir, {
+  maxBytes, timeoutMs, maxRedirects, urlAllowlist, blockedAddresses = BLOCKED_ADDRESSES,
+} = IMPORT_LIMITS) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error("invalid URL");
+  }
+  const originalname = decodeURIComponent(path.basename(parsed.pathname)) || parsed.hostname;
+
+  const signal = AbortSignal.timeout(timeoutMs);
+  let res;
+  for (let hops = 0; ; hops++) {
+    const lookup = checkImportUrl(parsed, urlAllowlist, blockedAddresses);
+    res = await request(parsed, { lookup, signal });
+    const { location } = res.headers;
+    if (res.statusCode < 300 || res.statusCode >= 400 || !location) break;
+    res.resume();
+    if (hops >= maxRedirects) throw new Error(`more than ${maxRedirects} redirects`);
+    parsed = new URL(location, parsed);
+  }
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    res.resume();
+    throw new Error(`HTTP ${res.statusCode}`);
+  }
+  const type = (res.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (!type.startsWith("image/")) {
+    res.resume();
+    throw new Error(`not an image (content-type ${type || "missing"})`);
+  }
+  const length = parseInt(res.headers["content-length"], 10);
+  if (length > maxBytes) {
+    res.destroy();
+    throw new Error(`larger than ${maxBytes} bytes`);
+  }
+
+  const dest = path.join(destDir, tempName());
+  await writeLimited(res, dest, maxBytes);
+  return { path: dest, originalname };
+}
+
+// image files directly inside dir (not recursive), sorted by name
+function listDirectoryImages(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(e => e.isFile() && !e.name.startsWith(".") && isImageName(e.name))
+    .map(e => path.join(dir, e.name))
+    .sort();
+}
+
+// copy a server-side file into destDir (size-limited); resolves to { path, originalname }
+async function copyToFile(file, destDir, { maxBytes } = IMPORT_LIMITS) {
+  const { size } = fs.statSync(file);
+  if (size > maxBytes) throw new Error(`larger than ${maxBytes} bytes`);
+  const dest = path.join(destDir, tempName());
+  await writeLimited(fs.createReadStream(file), dest, maxBytes);
+  return { path: dest, originalname: path.basename(file) };
+}
+
+// Extract the image entries of a ZIP into destDir. onItem(result) is awaited per
+// image entry with { path, originalname, source } or { source, error }; other
+// entries are skipped. Resolves to { truncated } (true when maxItems was hit).
+function extractZipImages(zipFile, destDir, onItem, { maxBytes, maxItems } = IMPORT_LIMITS) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipFile, { lazyEntries: true }, (err, zip) => {
+      if (err) return reject(err);
+      let count = 0;
+      zip.on("error", reject);
+      zip.on("end", () => resolve({ truncated: false }));
+      zip.on("entry", (entry) => {
+        const name = path.basename(entry.fileName);
+        if (/\/$/.test(entry.fileName) || name.startsWith(".") || !isImageName(name)) return zip.readEntry();
+        if (++count > maxItems) {
+          zip.close();
+          return resolve({ truncated: true });
+        }
+        if (entry.uncompressedSize > maxBytes) {
+          return Promise.resolve(onItem({ source: entry.fileName, error: `larger than ${maxBytes} bytes` }))
+            .then(() => zip.readEntry(), reject);
+        }
+        zip.openReadStream(entry, async (streamErr, stream) => {
+          if (streamErr) {
+            await onItem({ source: entry.fileName, error: streamErr.message });
+            return zip.readEntry();
+          }
+          const dest = path.join(destDir, tempName());
+          try {
+            await writeLimited(stream, dest, maxBytes);
+            await onItem({ path: dest, originalname: name, source: entry.fileName });
+          } catch (e) {
+            fs.rmSync(dest, { force: true });
+            await onItem({ source: entry.fileName, error: e.message });
+          }
+          zip.readEntry();
+        });
+      });
+      zip.readEntry();
+    });
+  });
+}
+
+module.exports = {
+  IMPORT_LIMITS,
+  isImageName,
+  resolveImportPath,
+  fetchToFile,
+  listDirectoryImages,
+  copyToFile,
+  extractZipImages,
+};
@@ -0,0 +1,27 @@
+// lib/job-store/index.js
+// Job store of the producer (workers report to it in their log events).
+// JOB_STORE_BACKEND=sqlite (default) | json
+
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+const DEFAULTS = {
+  backend: process.env.JOB_STORE_BACKEND || "sqlite",
+  sqliteFile: process.env.JOB_DB || path.join(ROOT, "jobs.db"),
+  jsonFile: path.join(ROOT, "jobs.json"),
+};
+
+function createJobStore(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  switch (opts.backend) {
+    case "sqlite":
+      return require("./sqlite").createSqliteStore({ file: opts.sqliteFile });
+    case "json":
+      return require("./json").createJsonStore({ file: opts.jsonFile });
+    default:
+      throw new Error(`Unknown JOB_STORE_BACKEND: ${opts.backend}`);
+  }
+}
+
+module.exports = { createJobStore, LEGACY_JSON_FILE: DEFAULTS.jsonFile };
@@ -0,0 +1,173 @@
+// lib/job-store/json.js
+// Legacy single-file job store (jobs.json). Whole-file read-modify-write, so
+// only safe with a single process; kept for development and migration.
+
+const fs = require("fs");
+
+function createJsonStore({ file }) {
+  if (!fs.existsSync(file)) fs.writeFileSync(file, JSON.stringify({}, null, 2));
+  // batches live next to the jobs file: jobs.json -> jobs.batches.json
+  const batchFile = file.replace(/\.json$/, "") + ".batches.json";
+
+  function readAll(from = file) {
+    try {
+      if (!fs.existsSync(from)) return {};
+      const raw = fs.readFileSync(from, "utf-8");
+      return raw ? JSON.parse(raw) : {};
+    } catch (e) {
+      console.error("Failed to read job store, returning empty:", e);
+      return {};
+    }
+  }
+
+  function writeAll(jobs, to = file) {
+    // atomic write: write to temp and rename
+    const tmp = to + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(jobs, null, 2));
+    fs.renameSync(tmp, to);
+  }
+
+  // event history lives on the record under "history"; it is never returned with the job
+  function strip(job) {
+    if (!job) return null;
+    const { history, ...rest } = job;
+    return rest;
+  }
+
+  function get(id) {
+    return strip(readAll()[id]);
+  }
+
+  function put(job) {
+    const jobs = readAll();
+    jobs[job.id] = { ...job, history: jobs[job.id]?.history };
+    writeAll(jobs);
+    return job;
+  }
+
+  function update(id, fn) {
+    const jobs = readAll();
+    const next = { ...fn(strip(jobs[id]) || {}), id };
+    jobs[id] = { ...next, history: jobs[id]?.history };
+    writeAll(jobs);
+    return next;
+  }
+
+  function list({ status, limit = -1 } = {}) {
+    const arr = Object.values(readAll())
+      .filter(j => !status || j.status === status)
+      .sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated))
+      .map(strip);
+    return limit < 0 ? arr : arr.slice(0, limit);
+  }
+
+  // same contract as the SQLite store's query(); filters in memory
+  function query({ status, owner, worker, from, to, q, after, limit = 50 } = {}) {
+    const needle = q ? String(q).toLowerCase() : null;
+    const updatedAt = (j) => j.lastUpdated || "";
+    const cmp = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    const matches = Object.values(readAll())
+      .filter(j => !owner || j.owner === String(owner))
+      .filter(j => !status || j.status === status)
+      .filter(j => !worker || (j.history || []).some(e => String(e.worker) === String(worker)))
+      .filter(j => !from || updatedAt(j) >= from)
+      .filter(j => !to || updatedAt(j) <= to)
+      .filter(j => !needle || [j.id, j.originalName, j.filename, j.processedFilename]
+        .some(v => v && String(v).toLowerCase().includes(needle)))
+      .sort((a, b) => cmp(updatedAt(b), updatedAt(a)) || cmp(b.id, a.id))
+      .filter(j => !after || updatedAt(j) < after.updatedAt || (updatedAt(j) === after.updatedAt && j.id < after.id));
+
+    const page = matches.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      jobs: page.map(strip),
+      next: matches.length > limit ? { updatedAt: updatedAt(last), id: last.id } : null,
+    };
+  }
+
+  function findByDedupKey(key) {
+    return list().filter(j => j.dedupKey === key);
+  }
+
+  function jobsForFile(filename) {
+    return list().filter(j => [j.filename, j.processedFilename, j.watermarkedFilename, ...(j.renditions || []).map(r => r.filename)]
+      .includes(filename));
+  }
+
+  function usageByOwner(owner) {
+    const jobs = list().filter(j => j.owner === String(owner));
+    return { jobs: jobs.length, bytes: jobs.reduce((sum, j) => sum + (j.input?.bytes || 0), 0) };
+  }
+
+  function countByStatus() {
+    const counts = {};
+    for (const job of Object.values(readAll())) {
+      const status = job.status || "unknown";
+      counts[status] = (counts[status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  function remove(id) {
+    const jobs = readAll();
+    delete jobs[id];
+    writeAll(jobs);
+  }
+
+  function clear() {
+    writeAll({});
+    writeAll({}, batchFile);
+  }
+
+  function addEvent(jobId, event) {
+    const jobs = readAll();
+    jobs[jobId] = jobs[jobId] || { id: jobId };
+    jobs[jobId].history = [...(jobs[jobId].history || []), event];
+    writeAll(jobs);
+  }
+
+  function events(jobId) {
+    return readAll()[jobId]?.history || [];
+  }
+
+  function putBatch(batch) {
+    const batches = readAll(batchFile);
+    batches[batch.id] = batch;
+    writeAll(batches, batchFile);
+    return batch;
+  }
+
+  function getBatch(id) {
+    return readAll(batchFile)[id] || null;
+  }
+
+  function batchesForJob(jobId) {
+    return Object.values(readAll(batchFile))
+      .filter(b => (b.jobIds || []).includes(jobId))
+      .map(b => b.id);
+  }
+
+  return {
+    backend: "json",
+    get,
+    put,
+    update,
+    list,
+    query,
+    findByDedupKey,
+    jobsForFile,
+    usageByOwner,
+    countByStatus,
+    remove,
+    clear,
+    addEvent,
+    events,
+    putBatch,
+    getBatch,
+    batchesForJob,
+    importJobsJson: () => 0,
+    close: () => {},
+  };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,322 @@
+// lib/job-store/sqlite.js
+// SQLite job store (default). Safe to share between the producer and any number
+// of workers: WAL mode plus BEGIN IMMEDIATE makes every per-job update atomic.
+
+const fs = require("fs");
+const Database = require("better-sqlite3");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    status TEXT,
+    data TEXT NOT NULL,
+    created_at TEXT,
+    updated_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS jobs_status_updated ON jobs (status, updated_at);
+  CREATE INDEX IF NOT EXISTS jobs_updated_id ON jobs (updated_at, id);
+  CREATE INDEX IF NOT EXISTS jobs_dedup ON jobs (json_extract(data, '$.dedupKey'));
+  CREATE INDEX IF NOT EXISTS jobs_owner_updated ON jobs (json_extract(data, '$.owner'), updated_at);
+
+  -- every file a job reads or writes, so outputs can be traced back to their job
+  CREATE TABLE IF NOT EXISTS job_files (
+    filename TEXT NOT NULL,
+    job_id TEXT NOT NULL,
+    PRIMARY KEY (filename, job_id)
+  );
+  CREATE INDEX IF NOT EXISTS job_files_job ON job_files (job_id);
+
+  CREATE TABLE IF NOT EXISTS job_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id TEXT NOT NULL,
+    status TEXT,
+    worker TEXT,
+    data TEXT NOT NULL,
+    timestamp TEXT
+  );
+  CREATE INDEX IF NOT EXISTS job_events_job ON job_events (job_id, id);
+  CREATE INDEX IF NOT EXISTS job_events_time ON job_events (timestamp);
+  CREATE INDEX IF NOT EXISTS job_events_worker ON job_events (worker, job_id);
+
+  CREATE TABLE IF NOT EXISTS batches (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    created_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS batch_jobs (
+    batch_id TEXT NOT NULL,
+    job_id TEXT NOT NULL,
+    PRIMARY KEY (batch_id, job_id)
+  );
+  CREATE INDEX IF NOT EXISTS batch_jobs_job ON batch_jobs (job_id);
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+function createSqliteStore({ file }) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  db.exec(SCHEMA);
+
+  const stmt = {
+    get: db.prepare("SELECT data FROM jobs WHERE id = ?"),
+    put: db.prepare(`
+      INSERT INTO jobs (id, status, data, created_at, updated_at)
+      VALUES (@id, @status, @data, @createdAt, @updatedAt)
+      ON CONFLICT (id) DO UPDATE SET
+        status = excluded.status, data = excluded.data, updated_at = excluded.updated_at
+    `),
+    remove: db.prepare("DELETE FROM jobs WHERE id = ?"),
+    addJobFile: db.prepare("INSERT OR IGNORE INTO job_files (filename, job_id) VALUES (?, ?)"),
+    removeJobFiles: db.prepare("DELETE FROM job_files WHERE job_id = ?"),
+    jobsForFile: db.prepare(`
+      SELECT jobs.data FROM job_files JOIN jobs ON jobs.id = job_files.job_id
+      WHERE job_files.filename = ? ORDER BY jobs.updated_at DESC
+    `),
+    listAll: db.prepare("SELECT data FROM jobs ORDER BY updated_at DESC LIMIT ?"),
+    listByStatus: db.prepare("SELECT data FROM jobs WHERE status = ? ORDER BY updated_at DESC LIMIT ?"),
+    byDedupKey: db.prepare("SELECT data FROM jobs WHERE json_extract(data, '$.dedupKey') = ? ORDER BY updated_at DESC"),
+    count: db.prepare("SELECT COUNT(*) AS n FROM jobs"),
+    usageByOwner: db.prepare(`
+      SELECT COUNT(*) AS jobs, COALESCE(SUM(json_extract(data, '$.input.bytes')), 0) AS bytes
+      FROM jobs WHERE json_extract(data, '$.owner') = ?
+    `),
+    countByStatus: db.prepare("SELECT status, COUNT(*) AS n FROM jobs GROUP BY status"),
+    addEvent: db.prepare(`
+      INSERT INTO job_events (job_id, status, worker, data, timestamp)
+      VALUES (@jobId, @status, @worker, @data, @timestamp)
+    `),
+    events: db.prepare("SELECT data FROM job_events WHERE job_id = ? ORDER BY id"),
+    getBatch: db.prepare("SELECT data FROM batches WHERE id = ?"),
+    putBatch: db.prepare(`
+      INSERT INTO batches (id, data, created_at) VALUES (@id, @data, @createdAt)
+      ON CONFLICT (id) DO UPDATE SET data = excluded.data
+    `),
+    addBatchJob: db.prepare("INSERT OR IGNORE INTO batch_jobs (batch_id, job_id) VALUES (?, ?)"),
+    batchesForJob: db.prepare("SELECT batch_id FROM batch_jobs WHERE job_id = ?"),
+    getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    setMeta: db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)"),
+  };
+
+  // upload, outputs and watermark input/output named by the record
+  function jobFileNames(job) {
+    const names = [job.filename, job.processedFilename, job.watermarkedFilename, ...(job.renditions || []).map(r => r.filename)];
+    return [...new Set(names.filter(Boolean))];
+  }
+
+  function toRow(job) {
+    return {
+      id: job.id,
+      status: job.status || null,
+      data: JSON.stringify(job),
+      createdAt: job.createdAt || job.lastUpdated || new Date().toISOString(),
+      updatedAt: job.lastUpdated || new Date().toISOString(),
+    };
+  }
+
+  function get(id) {
+    const row = stmt.get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  const putTx = db.transaction((job) => {
+    stmt.put.run(toRow(job));
+    stmt.removeJobFiles.run(job.id);
+    for (const name of jobFileNames(job)) stmt.addJobFile.run(name, job.id);
+    return job;
+  });
+
+  function put(job) {
+    return putTx(job);
+  }
+
+  // atomic read-modify-write of one job; fn gets a copy (or {}) and returns the new record
+  const updateTx = db.transaction((id, fn) => {
+    const next = fn(get(id) || {});
+    return put({ ...next, id });
+  });
+
+  function update(id, fn) {
+    return updateTx.immediate(id, fn);
+  }
+
+  function list({ status, limit = -1 } = {}) {
+    const rows = status ? stmt.listByStatus.all(status, limit) : stmt.listAll.all(limit);
+    return rows.map(r => JSON.parse(r.data));
+  }
+
+  // Filtered, newest-first page of jobs (keyset pagination). `after` is the
+  // `next` of the previous page; `next` is null on the last page.
+  function query({ status, owner, worker, from, to, q, after, limit = 50 } = {}) {
+    const where = [];
+    const params = {};
+    if (owner) {
+      where.push("json_extract(data, '$.owner') = @owner");
+      params.owner = String(owner);
+    }
+    if (status) {
+      where.push("status = @status");
+      params.status = status;
+    }
+    if (worker) {
+      where.push("EXISTS (SELECT 1 FROM job_events e WHERE e.job_id = jobs.id AND e.worker = @worker)");
+      params.worker = String(worker);
+    }
+    if (from) {
+      where.push("updated_at >= @from");
+      params.from = from;
+    }
+    if (to) {
+      where.push("updated_at <= @to");
+      params.to = to;
+    }
+    if (q) {
+      where.push(`(id LIKE @q ESCAPE '\\'
+        OR json_extract(data, '$.originalName') LIKE @q ESCAPE '\\'
+        OR json_extract(data, '$.filename') LIKE @q ESCAPE '\\'
+        OR json_extract(data, '$.processedFilename') LIKE @q ESCAPE '\\')`);
+      params.q = `%${String(q).replace(/[\\%_]/g, c => `\\${c}`)}%`;
+    }
+    if (after) {
+      where.push("(updated_at < @afterUpdated OR (updated_at = @afterUpdated AND id < @afterId))");
+      params.afterUpdated = after.updatedAt;
+      params.afterId = after.id;
+    }
+    params.limit = limit + 1;
+
+    const sql = `SELECT id, data, updated_at FROM jobs
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY updated_at DESC, id DESC LIMIT @limit`;
+    const rows = db.prepare(sql).all(params);
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      jobs: page.map(r => JSON.parse(r.data)),
+      next: rows.length > limit ? { updatedAt: last.updated_at, id: last.id } : null,
+    };
+  }
+
+  // every job with this content + recipe key, newest first
+  function findByDedupKey(key) {
+    return stmt.byDedupKey.all(key).map(r => JSON.parse(r.data));
+  }
+
+  // jobs that read or wrote this file (upload, output or watermark), newest first
+  function jobsForFile(filename) {
+    return stmt.jobsForFile.all(filename).map(r => JSON.parse(r.data));
+  }
+
+  // { jobs, bytes }: a user's jobs and the upload bytes they hold (quotas)
+  function usageByOwner(owner) {
+    return { ...stmt.usageByOwner.get(String(owner)) };
+  }
+
+  // { status: count }
+  function countByStatus() {
+    const counts = {};
+    for (const row of stmt.countByStatus.all()) counts[row.status || "unknown"] = row.n;
+    return counts;
+  }
+
+  function remove(id) {
+    stmt.remove.run(id);
+    stmt.removeJobFiles.run(id);
+  }
+
+  function clear() {
+    db.exec("DELETE FROM jobs; DELETE FROM job_files; DELETE FROM job_events; DELETE FROM batches; DELETE FROM batch_jobs;");
+  }
+
+  function addEvent(jobId, event) {
+    stmt.addEvent.run({
+      jobId,
+      status: event.status || null,
+      worker: event.worker == null ? null : String(event.worker),
+      data: JSON.stringify(event),
+      timestamp: event.timestamp || new Date().toISOString(),
+    });
+  }
+
+  function events(jobId) {
+    return stmt.events.all(jobId).map(r => JSON.parse(r.data));
+  }
+
+  // batches: { id, createdAt, jobIds, ... }; membership is indexed both ways
+  const putBatchTx = db.transaction((batch) => {
+    stmt.putBatch.run({ id: batch.id, data: JSON.stringify(batch), createdAt: batch.createdAt || new Date().toISOString() });
+    for (const jobId of batch.jobIds || []) stmt.addBatchJob.run(batch.id, jobId);
+    return batch;
+  });
+
+  function putBatch(batch) {
+    return putBatchTx.immediate(batch);
+  }
+
+  function getBatch(id) {
+    const row = stmt.getBatch.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  function batchesForJob(jobId) {
+    return stmt.batchesForJob.all(jobId).map(r => r.batch_id);
+  }
+
+  // One-time import of a legacy jobs.json ({ id: job }); skipped once done
+  // for that file, so it is safe to call on every start.
+  const importTx = db.transaction((jobs) => {
+    let imported = 0;
+    for (const [id, job] of Object.entries(jobs)) {
+      if (!job || typeof job !== "object" || stmt.get.get(id)) continue;
+      put({ ...job, id });
+      imported++;
+    }
+    return imported;
+  });
+
+  // job_files arrived after the jobs table; index the records that predate it once
+  const indexFilesTx = db.transaction(() => {
+    for (const row of db.prepare("SELECT data FROM jobs").all()) {
+      const job = JSON.parse(row.data);
+      for (const name of jobFileNames(job)) stmt.addJobFile.run(name, job.id);
+    }
+    stmt.setMeta.run("indexed:job_files", new Date().toISOString());
+  });
+  if (!stmt.getMeta.get("indexed:job_files")) indexFilesTx.immediate();
+
+  function importJobsJson(jsonFile) {
+    const key = `imported:${jsonFile}`;
+    if (stmt.getMeta.get(key) || !fs.existsSync(jsonFile)) return 0;
+    const raw = fs.readFileSync(jsonFile, "utf-8");
+    const imported = importTx.immediate(raw.trim() ? JSON.parse(raw) : {});
+    stmt.setMeta.run(key, new Date().toISOString());
+    return imported;
+  }
+
+  return {
+    backend: "sqlite",
+    get,
+    put,
+    update,
+    list,
+    query,
+    findByDedupKey,
+    jobsForFile,
+    usageByOwner,
+    countByStatus,
+    remove,
+    clear,
+    addEvent,
+    events,
+    putBatch,
+    getBatch,
+    batchesForJob,
+    importJobsJson,
+    close: () => db.close(),
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,139 @@
+// lib/metadata.js
+// Metadata of an original image for the job record (GET /jobs/:id/metadata):
+// dimensions, format, color space, camera, capture date, GPS, orientation and
+// the ICC profile. Read by the resize worker before it transforms the upload.
+
+const sharp = require("sharp");
+const exifReader = require("exif-reader");
+
+// EXIF text tags that metadata: "strip-gps" carries into the output, by sharp IFD;
+// GPS, serial numbers, maker notes and everything else are dropped
+const SAFE_EXIF_TAGS = {
+  IFD0: { section: "Image", tags: ["Make", "Model", "Software", "DateTime", "Artist", "Copyright", "ImageDescription"] },
+  IFD2: { section: "Photo", tags: ["DateTimeOriginal", "DateTimeDigitized", "LensMake", "LensModel"] },
+};
+
+// exif-reader returns EXIF dates as UTC Dates; EXIF wants "YYYY:MM:DD HH:MM:SS"
+function exifDate(date) {
+  return date.toISOString().slice(0, 19).replace(/-/g, ":").replace("T", " ");
+}
+
+function parseExif(buffer) {
+  if (!buffer) return null;
+  try {
+    return exifReader(buffer);
+  } catch (e) {
+    return null; // corrupt EXIF is treated as none
+  }
+}
+
+// [deg, min, sec] + "N"/"S"/"E"/"W" -> signed decimal degrees
+function toDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length < 3 || dms.some(v => !Number.isFinite(v))) return null;
+  const deg = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return Math.round((["S", "W"].includes(ref) ? -deg : deg) * 1e7) / 1e7;
+}
+
+function gpsFrom(info) {
+  if (!info) return null;
+  const latitude = toDegrees(info.GPSLatitude, info.GPSLatitudeRef);
+  const longitude = toDegrees(info.GPSLongitude, info.GPSLongitudeRef);
+  if (latitude === null || longitude === null) return null;
+  const altitude = Number.isFinite(info.GPSAltitude) ? (info.GPSAltitudeRef === 1 ? -info.GPSAltitude : info.GPSAltitude) : null;
+  return { latitude, longitude, altitude };
+}
+
+// description of an ICC 'desc' tag: textDescriptionType (v2, ASCII) or mluc (v4, UTF-16BE)
+function iccText(buf, offset, size) {
+  if (offset + size > buf.length || size < 12) return null;
+  const type = buf.toString("latin1", offset, offset + 4);
+  if (type === "desc") {
+    const length = buf.readUInt32BE(offset + 8);
+    const end = Math.min(offset + 12 + length, offset + size);
+    return buf.toString("latin1", offset + 12, end).replace(/\0+$/, "") || null;
+  }
+  if (type === "mluc" && size >= 28) {
+    const length = buf.readUInt32BE(offset + 20);
+    const start = offset + buf.readUInt32BE(offset + 24);
+    if (start + length > buf.length) return null;
+    return Buffer.from(buf.subarray(start, start + length)).swap16().toString("utf16le").replace(/\0+$/, "") || null;
+  }
+  return null;
+}
+
+function parseIcc(buf) {
+  if (!buf || buf.length < 132 || buf.toString("latin1", 36, 40) !== "acsp") return null;
+  const icc = {
+    description: null,
+    colorSpace: buf.toString("latin1", 16, 20).trim(),
+    deviceClass: buf.toString("latin1", 12, 16).trim(),
+    version: `${buf[8]}.${buf[9] >> 4}`,
+    bytes: buf.length,
+  };
+  const count = buf.readUInt32BE(128);
+  for (let i = 0; i < count && 144 + i * 12 <= buf.length; i++) {
+    const at = 132 + i * 12;
+    if (buf.toString("latin1", at, at + 4) === "desc") {
+      icc.description = iccText(buf, buf.readUInt32BE(at + 4), buf.readUInt32BE(at + 8));
+    }
+  }
+  return icc;
+}
+
+// Resolves to { metadata, exif }: metadata is what the job record stores, exif
+// the parsed EXIF (or null) for safeExif()
+async function extractMetadata(input) {
+  const meta = await sharp(input).metadata();
+  const exif = parseExif(meta.exif);
+  const image = exif?.Image || {};
+  const photo = exif?.Photo || {};
+  const capturedAt = photo.DateTimeOriginal || photo.DateTimeDigitized || image.DateTime;
+
+  const camera = {
+    make: image.Make || null,
+    model: image.Model || null,
+    lens: photo.LensModel || null,
+    software: image.Software || null,
+  };
+
+  return {
+    exif,
+    metadata: {
+      width: meta.width,
+      height: meta.height,
+      format: meta.format,
+      space: meta.space || null,
+      channels: meta.channels,
+      depth: meta.depth || null,
+      density: meta.density || null,
+      hasAlpha: !!meta.hasAlpha,
+      orientation: meta.orientation || null,
+      camera: Object.values(camera).some(Boolean) ? camera : null,
+      capturedAt: capturedAt instanceof Date && !isNaN(capturedAt) ? capturedAt.toISOString() : null,
+      gps: gpsFrom(exif?.GPSInfo),
+      icc: parseIcc(meta.icc),
+      hasExif: !!meta.exif,
+      hasXmp: !!meta.xmp,
+      hasIptc: !!meta.iptc,
+    },
+  };
+}
+
+// sharp withExif() object with only the SAFE_EXIF_TAGS of the original, null when none
+function safeExif(exif) {
+  if (!exif) return null;
+  const out = {};
+  for (const [ifd, { section, tags }] of Object.entries(SAFE_EXIF_TAGS)) {
+    for (const tag of tags) {
+      const value = exif[section]?.[tag];
+      if (value instanceof Date) {
+        if (!isNaN(value)) out[ifd] = { ...out[ifd], [tag]: exifDate(value) };
+      } else if (typeof value === "string" && value.trim()) {
+        out[ifd] = { ...out[ifd], [tag]: value };
+      }
+    }
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+module.exports = { extractMetadata, safeExif, parseIcc };
@@ -0,0 +1,37 @@
+// lib/metrics.js
+// Prometheus helpers shared by the producer and the workers
+
+const http = require("http");
+const client = require("prom-client");
+
+const PREFIX = "sharp_bunny_";
+
+// seconds; resize/watermark jobs range from a few ms to tens of seconds
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function createRegistry(defaultLabels = {}) {
+  const registry = new client.Registry();
+  registry.setDefaultLabels(defaultLabels);
+  client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+  return registry;
+}
+
+// Small standalone /metrics endpoint for workers (they have no HTTP server)
+function serveMetrics(registry, port) {
+  const server = http.createServer(async (req, res) => {
+    if (req.url !== "/metrics") {
+      res.writeHead(404).end();
+      return;
+    }
+    try {
+      const body = await registry.metrics();
+      res.writeHead(200, { "Content-Type": registry.contentType }).end(body);
+    } catch (err) {
+      res.writeHead(500).end(err.message);
+    }
+  });
+  server.listen(port, () => console.log(`Metrics available at http://localhost:${port}/metrics`));
+  return server;
+}
+
+module.exports = { client, PREFIX, DURATION_BUCKETS, createRegistry, serveMetrics };
@@ -0,0 +1,162 @@
+// lib/operations.js
+// Named processing operations loaded from plugins/ (PLUGINS_DIR). A plugin exports
+//   { name, description, params: { <param>: schema }, apply(img, params, ctx) }
+// The producer validates recipe.operations against each plugin's params; the
+// resize worker runs them after crop/resize. Workers advertise what they loaded
+// in their heartbeats.
+
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+
+const PLUGINS_DIR = process.env.PLUGINS_DIR || path.join(__dirname, "..", "plugins");
+const MAX_OPERATIONS = 20;
+
+// name -> plugin for every loadable *.js in dir; broken plugins are skipped
+function loadOperations(dir = PLUGINS_DIR) {
+  const registry = new Map();
+  if (!fs.existsSync(dir)) return registry;
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".js")).sort()) {
+    let plugin;
+    try {
+      plugin = require(path.resolve(dir, file));
+    } catch (err) {
+      console.error(`Failed to load plugin ${file}:`, err.message);
+      continue;
+    }
+    if (!plugin || typeof plugin.name !== "string" || !/^[a-z][\w-]{0,49}$/.test(plugin.name) || typeof plugin.apply !== "function") {
+      console.error(`Plugin ${file} must export { name, apply } (name: lowercase letters, digits, _ or -)`);
+      continue;
+    }
+    if (registry.has(plugin.name)) {
+      console.error(`Plugin ${file} redefines operation ${plugin.name}, skipped`);
+      continue;
+    }
+    registry.set(plugin.name, { description: "", params: {}, ...plugin });
+  }
+  return registry;
+}
+
+const OPERATIONS = loadOperations();
+
+// what GET /operations and the heartbeats show
+function describeOperations(registry = OPERATIONS) {
+  return [...registry.values()].map(({ name, description, params }) => ({ name, description, params }));
+}
+
+// Validate one value against a param schema:
+//   { type: integer | number | string | boolean | array | object, default, required,
+//     min, max (numbers; lengths for strings), enum, pattern, minItems, maxItems, items, properties }
+function parseParam(schema, value, at) {
+  if (value === undefined || value === null) {
+    if (schema.default !== undefined) return schema.default;
+    if (schema.required) throw new Error(`${at} is required`);
+    return undefined;
+  }
+
+  switch (schema.type) {
+    case "integer":
+    case "number": {
+      const n = Number(value);
+      const range = `between ${schema.min ?? "-infinity"} and ${schema.max ?? "infinity"}`;
+      if (!Number.isFinite(n) || (schema.type === "integer" && !Number.isInteger(n))
+        || (schema.min !== undefined && n < schema.min) || (schema.max !== undefined && n > schema.max)) {
+        throw new Error(`${at} must be ${schema.type === "integer" ? "an integer" : "a number"} ${range}`);
+      }
+      return n;
+    }
+    case "boolean":
+      if (typeof value !== "boolean") throw new Error(`${at} must be true or false`);
+      return value;
+    case "string": {
+      if (typeof value !== "string") throw new Error(`${at} must be a string`);
+      if (value.length < (schema.min ?? 0) || value.length > (schema.max ?? 200)) {
+        throw new Error(`${at} must be ${schema.min ?? 0}-${schema.max ?? 200} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) throw new Error(`${at} has an invalid format`);
+      if (schema.enum && !schema.enum.includes(value)) throw new Error(`${at} must be one of: ${schema.enum.join(", ")}`);
+      return value;
+    }
+    case "array": {
+      if (!Array.isArray(value)) throw new Error(`${at} must be an array`);
+      if (value.length < (schema.minItems ?? 0) || value.length > (schema.maxItems ?? 100)) {
+        throw new Error(`${at} must have ${schema.minItems ?? 0}-${schema.maxItems ?? 100} items`);
+      }
+      return schema.items ? value.map((v, i) => parseParam(schema.items, v, `${at}[${i}]`)) : value;
+    }
+    case "object": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error(`${at} must be an object`);
+      return parseParams(schema.properties || {}, value, at);
+    }
+    default:
+      throw new Error(`${at} has an unsupported schema type: ${schema.type}`);
+  }
+}
+
+function parseParams(schemas, raw, at) {
+  const unknown = Object.keys(raw).filter(k => !schemas[k]);
+  if (unknown.length) throw new Error(`${at} has unknown parameter(s): ${unknown.join(", ")}`);
+  const params = {};
+  for (const [key, schema] of Object.entries(schemas)) {
+    const value = parseParam(schema, raw[key], `${at}.${key}`);
+    if (value !== undefined) params[key] = value;
+  }
+  return params;
+}
+
+// recipe.operations: [{ op: "<name>", ...params }] -> same shape with validated params
+function parseOperations(list, registry = OPERATIONS) {
+  if (!Array.isArray(list) || list.length > MAX_OPERATIONS) {
+    throw new Error(`recipe.operations must be an array of at most ${MAX_OPERATIONS} operations`);
+  }
+  return list.map((item, i) => {
+    const at = `recipe.operations[${i}]`;
+    if (!item || typeof item !== "object" || Array.isArray(item)) throw new Error(`${at} must be { op, ...params }`);
+    const { op, ...raw } = item;
+    const plugin = registry.get(op);
+    if (!plugin) {
+      const known = [...registry.keys()];
+      throw new Error(`${at}.op must be one of: ${known.length ? known.join(", ") : "(no operations installed)"}`);
+    }
+    return { op, ...parseParams(plugin.params, raw, at) };
+  });
+}
+
+// names of the operations a recipe needs that this registry lacks
+function missingOperations(recipe, registry = OPERATIONS) {
+  return [...new Set((recipe?.operations || []).map(o => o.op))].filter(op => !registry.has(op));
+}
+
+// Lossless hand-over between operations; metadata travels along so the recipe
+// can still keep or strip it at the end
+function render(pipeline) {
+  return pipeline.keepMetadata().png({ compressionLevel: 0 }).toBuffer();
+}
+
+// Run recipe operations in order. sharp applies the options of one pipeline in
+// its own fixed order (and a repeated option replaces the earlier one), so every
+// operation gets a fresh sharp instance of the previous result. Layers passed to
+// ctx.overlay() are composited on top of that operation's output.
+async function runOperations(img, operations = [], ctx = {}, registry = OPERATIONS) {
+  let current = img;
+  for (const { op, ...params } of operations) {
+    const plugin = registry.get(op);
+    if (!plugin) throw new Error(`Operation ${op} is not installed on this worker`);
+    const input = sharp(await render(current));
+    const overlays = [];
+    const pipeline = (await plugin.apply(input, params, { ...ctx, overlay: (layer) => overlays.push(layer) })) || input;
+    current = overlays.length ? sharp(await render(pipeline)).composite(overlays) : pipeline;
+  }
+  return operations.length ? sharp(await render(current)) : current;
+}
+
+module.exports = {
+  PLUGINS_DIR,
+  OPERATIONS,
+  loadOperations,
+  describeOperations,
+  parseOperations,
+  missingOperations,
+  runOperations,
+};
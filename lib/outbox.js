@@ -0,0 +1,119 @@
+// lib/outbox.js
+// Job messages the producer has not yet seen confirmed by RabbitMQ (outbox.json).
+// A job is added before it is published and removed once the broker confirms it,
+// so jobs created while RabbitMQ is down, or lost to a failed publish, are
+// published again by flush() when the producer (re)connects, also after a restart.
+
+const fs = require("fs");
+const { publishConfirmed } = require("./retry");
+
+function readJson(file) {
+  try {
+    if (!fs.existsSync(file)) return {};
+    const raw = fs.readFileSync(file, "utf-8");
+    return raw ? JSON.parse(raw) : {};
+  } catch (e) {
+    console.error(`Failed to read ${file}, returning empty:`, e);
+    return {};
+  }
+}
+
+function writeJson(file, data) {
+  const tmp = file + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// entry: { id (job id), exchange, routingKey, message, options }
+function createOutbox({ file }) {
+  let flushing = null;
+  // id -> publish() promise of entries waiting for their confirm, so publishJob
+  // and a flush never send the same entry at the same time
+  const inFlight = new Map();
+
+  function add(entry) {
+    const entries = readJson(file);
+    entries[entry.id] = { ...entry, attempts: 0, createdAt: entry.createdAt || new Date().toISOString() };
+    writeJson(file, entries);
+  }
+
+  function remove(id) {
+    const entries = readJson(file);
+    if (!entries[id]) return;
+    delete entries[id];
+    writeJson(file, entries);
+  }
+
+  function has(id) {
+    return !!readJson(file)[id];
+  }
+
+  // oldest first
+  function list() {
+    return Object.values(readJson(file)).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  function size() {
+    return Object.keys(readJson(file)).length;
+  }
+
+  function failed(id, err) {
+    const entries = readJson(file);
+    if (!entries[id]) return;
+    entries[id].attempts = (entries[id].attempts || 0) + 1;
+    entries[id].lastError = err.message;
+    writeJson(file, entries);
+  }
+
+  // Publish one entry and wait for the broker's confirm; the entry stays in the
+  // outbox (with its error) when that fails. Resolves true once confirmed.
+  // An entry already being published shares that publish instead of sending again.
+  function publish(ch, entry) {
+    if (inFlight.has(entry.id)) return inFlight.get(entry.id);
+    const sent = (async () => {
+      try {
+        await publishConfirmed(ch, entry.exchange, entry.routingKey, Buffer.from(JSON.stringify(entry.message)), entry.options);
+      } catch (err) {
+        failed(entry.id, err);
+        return false;
+      }
+      remove(entry.id);
+      return true;
+    })().finally(() => {
+      inFlight.delete(entry.id);
+    });
+    inFlight.set(entry.id, sent);
+    return sent;
+  }
+
+  // Publish every entry, oldest first, on a confirm channel. `skip(entry)` drops
+  // entries that should not be sent anymore; `sending(entry)` runs right before
+  // each publish and `published(entry)` after its confirm. Stops at the first
+  // failure (the channel is likely gone): the next flush carries on. Entries
+  // already in flight are left to whoever is publishing them. Concurrent calls share one run.
+  function flush(ch, { skip = () => false, sending = () => {}, published = () => {} } = {}) {
+    if (flushing) return flushing;
+    flushing = (async () => {
+      let sent = 0;
+      for (const entry of list()) {
+        if (inFlight.has(entry.id)) continue;
+        if (skip(entry)) {
+          remove(entry.id);
+          continue;
+        }
+        sending(entry);
+        if (!(await publish(ch, entry))) break;
+        published(entry);
+        sent++;
+      }
+      return sent;
+    })().finally(() => {
+      flushing = null;
+    });
+    return flushing;
+  }
+
+  return { add, remove, has, list, size, publish, flush };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,50 @@
+// lib/rate-limit.js
+// Fixed-window counters kept in memory (per producer process), e.g. uploaded
+// files per user and per IP. A limit of 0 disables the limiter.
+
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map(); // key -> { start, count }
+
+  function current(key, now) {
+    let w = windows.get(key);
+    if (!w || now - w.start >= windowMs) {
+      w = { start: now, count: 0 };
+      windows.set(key, w);
+    }
+    return w;
+  }
+
+  // ms until every key can take n more (0 = now)
+  function wait(keys, n = 1) {
+    if (!limit) return 0;
+    const now = Date.now();
+    let ms = 0;
+    for (const key of keys) {
+      const w = current(key, now);
+      if (w.count + n > limit) ms = Math.max(ms, w.start + windowMs - now);
+    }
+    return ms;
+  }
+
+  // count n against every key, only if all of them have room; returns wait()
+  function take(keys, n = 1) {
+    const ms = wait(keys, n);
+    if (!ms && limit) {
+      const now = Date.now();
+      for (const key of keys) current(key, now).count += n;
+    }
+    return ms;
+  }
+
+  // forget expired windows
+  if (limit) {
+    setInterval(() => {
+      const now = Date.now();
+      for (const [key, w] of windows) if (now - w.start >= windowMs) windows.delete(key);
+    }, windowMs).unref();
+  }
+
+  return { wait, take };
+}
+
+module.exports = { createRateLimiter };
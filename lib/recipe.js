@@ -0,0 +1,230 @@
+// lib/recipe.js
+// Per-job transformation recipes: validated by the producer, applied by the worker
+
+const { parseOperations, runOperations } = require("./operations");
+
+const FITS = ["cover", "contain", "fill", "inside", "outside"];
+const POSITIONS = [
+  "centre", "center", "north", "northeast", "east", "southeast",
+  "south", "southwest", "west", "northwest", "entropy", "attention",
+];
+// format -> file extension of the output
+const FORMATS = { jpeg: "jpg", jpg: "jpg", png: "png", webp: "webp", avif: "avif" };
+const MAX_DIMENSION = 10000;
+// what the output keeps of the original's metadata (lib/metadata)
+const METADATA_MODES = ["strip", "strip-gps", "keep"];
+
+// what every job got before recipes existed
+const DEFAULT_RECIPE = { width: 800, withoutEnlargement: true, format: "jpeg", quality: 90 };
+
+// named rendition widths used by `renditions: true`, e.g. RENDITION_WIDTHS="thumb:160,small:480"
+const DEFAULT_RENDITIONS = parseRenditionWidths(process.env.RENDITION_WIDTHS)
+  || { thumb: 160, small: 480, medium: 800, large: 1600 };
+
+function parseRenditionWidths(str) {
+  if (!str) return null;
+  const set = {};
+  for (const part of String(str).split(",")) {
+    const [name, width] = part.split(":").map(s => s.trim());
+    const w = parseInt(width, 10);
+    if (name && w > 0) set[name] = w;
+  }
+  return Object.keys(set).length ? set : null;
+}
+
+function toInt(value, field, min, max) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new Error(`recipe.${field} must be an integer between ${min} and ${max}`);
+  }
+  return n;
+}
+
+// Normalize a recipe coming from a request (object or JSON string).
+// Throws with a user-facing message when the recipe is invalid.
+function parseRecipe(input) {
+  if (input === undefined || input === null || input === "") return { ...DEFAULT_RECIPE };
+
+  let raw = input;
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch (e) {
+      throw new Error("recipe must be valid JSON");
+    }
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("recipe must be an object");
+
+  const recipe = {};
+
+  if (raw.width !== undefined) recipe.width = toInt(raw.width, "width", 1, MAX_DIMENSION);
+  if (raw.height !== undefined) recipe.height = toInt(raw.height, "height", 1, MAX_DIMENSION);
+
+  if (raw.fit !== undefined) {
+    if (!FITS.includes(raw.fit)) throw new Error(`recipe.fit must be one of: ${FITS.join(", ")}`);
+    recipe.fit = raw.fit;
+  }
+  if (raw.position !== undefined) {
+    if (!POSITIONS.includes(raw.position)) throw new Error(`recipe.position must be one of: ${POSITIONS.join(", ")}`);
+    recipe.position = raw.position;
+  }
+  if ((recipe.fit || recipe.position) && !recipe.width && !recipe.height) {
+    throw new Error("recipe.fit/position require width or height");
+  }
+
+  recipe.withoutEnlargement = raw.withoutEnlargement === undefined ? true : raw.withoutEnlargement === true;
+
+  if (raw.crop !== undefined) {
+    const c = raw.crop;
+    if (!c || typeof c !== "object") throw new Error("recipe.crop must be { left, top, width, height }");
+    recipe.crop = {
+      left: toInt(c.left, "crop.left", 0, MAX_DIMENSION),
+      top: toInt(c.top, "crop.top", 0, MAX_DIMENSION),
+      width: toInt(c.width, "crop.width", 1, MAX_DIMENSION),
+      height: toInt(c.height, "crop.height", 1, MAX_DIMENSION),
+    };
+  }
+
+  if (raw.rotate !== undefined) {
+    const r = Number(raw.rotate);
+    if (!Number.isFinite(r) || r < -360 || r > 360) throw new Error("recipe.rotate must be a number of degrees between -360 and 360");
+    recipe.rotate = r;
+  }
+
+  const format = raw.format === undefined ? DEFAULT_RECIPE.format : String(raw.format).toLowerCase();
+  if (!FORMATS[format]) throw new Error(`recipe.format must be one of: ${Object.keys(FORMATS).join(", ")}`);
+  recipe.format = format === "jpg" ? "jpeg" : format;
+
+  if (raw.renditions !== undefined && raw.renditions !== false) {
+    const set = raw.renditions === true ? DEFAULT_RENDITIONS : raw.renditions;
+    if (!set || typeof set !== "object" || Array.isArray(set) || !Object.keys(set).length) {
+      throw new Error("recipe.renditions must be true or a { name: width } object");
+    }
+    recipe.renditions = {};
+    for (const [name, width] of Object.entries(set)) {
+      if (!/^[a-z0-9_]+$/i.test(name)) throw new Error(`recipe.renditions name "${name}" may only contain letters, digits and _`);
+      recipe.renditions[name] = toInt(width, `renditions.${name}`, 1, MAX_DIMENSION);
+    }
+  }
+
+  if (raw.alternates !== undefined) {
+    if (!Array.isArray(raw.alternates)) throw new Error("recipe.alternates must be an array of formats");
+    recipe.alternates = [];
+    for (const alt of raw.alternates) {
+      const f = String(alt).toLowerCase();
+      if (!["webp", "avif"].includes(f)) throw new Error("recipe.alternates may only contain webp and avif");
+      if (f !== format && !recipe.alternates.includes(f)) recipe.alternates.push(f);
+    }
+  }
+
+  // privacy / color options; only set when they differ from the defaults so
+  // older recipes (and their dedup keys) stay the same
+  for (const flag of ["autoOrient", "keepIcc"]) {
+    if (raw[flag] === undefined) continue;
+    if (typeof raw[flag] !== "boolean") throw new Error(`recipe.${flag} must be true or false`);
+    if (raw[flag]) recipe[flag] = true;
+  }
+  if (raw.metadata !== undefined) {
+    if (!METADATA_MODES.includes(raw.metadata)) throw new Error(`recipe.metadata must be one of: ${METADATA_MODES.join(", ")}`);
+    if (raw.metadata !== "strip") recipe.metadata = raw.metadata;
+  }
+
+  // plugin operations (lib/operations), run after crop / resize
+  if (raw.operations !== undefined) {
+    const operations = parseOperations(raw.operations);
+    if (operations.length) recipe.operations = operations;
+  }
+
+  if (raw.quality !== undefined) {
+    if (recipe.format === "png") throw new Error("recipe.quality is not supported for png");
+    recipe.quality = toInt(raw.quality, "quality", 1, 100);
+  } else if (recipe.format !== "png") {
+    recipe.quality = DEFAULT_RECIPE.quality;
+  }
+
+  return recipe;
+}
+
+function extensionFor(recipe = DEFAULT_RECIPE) {
+  return FORMATS[recipe.format] || "jpg";
+}
+
+// Expand a recipe into the list of files the worker writes for one job.
+// Without renditions that is "<base>.<ext>"; with renditions every named
+// width gets "<base>-<name>.<ext>". Alternates add one copy per extra format.
+function renditionPlan(recipe = DEFAULT_RECIPE, base) {
+  const sizes = recipe.renditions ? Object.entries(recipe.renditions) : [[null, recipe.width]];
+
+  const plan = [];
+  for (const [name, width] of sizes) {
+    // keep the recipe's aspect ratio when both width and height were given
+    const height = name && recipe.width && recipe.height
+      ? Math.round((recipe.height * width) / recipe.width)
+      : recipe.height;
+    for (const format of [recipe.format, ...(recipe.alternates || [])]) {
+      const r = { ...recipe, width, height, format, renditions: undefined, alternates: undefined };
+      if (format !== "png" && r.quality === undefined) r.quality = DEFAULT_RECIPE.quality;
+      const filename = `${name ? `${base}-${name}` : base}.${extensionFor(r)}`;
+      plan.push({ name, width: width || null, format, filename, recipe: r });
+    }
+  }
+  return plan;
+}
+
+// The file that represents the job (gallery, watermarking): the widest
+// rendition in the primary format
+function primaryRendition(plan) {
+  const primaries = plan.filter(p => p.format === plan[0].format);
+  return primaries.reduce((best, p) => ((p.width || 0) > (best.width || 0) ? p : best), primaries[0]);
+}
+
+// Apply a (validated) recipe to a sharp instance: orient -> rotate -> crop -> resize ->
+// operations -> encode. Resolves to the pipeline, ready for toBuffer().
+// keepExif is the tag set metadata: "strip-gps" writes (lib/metadata safeExif);
+// the rest of ctx is handed to the operations (e.g. readLogo).
+async function applyRecipe(img, recipe = DEFAULT_RECIPE, { keepExif, ...ctx } = {}) {
+  let pipeline = img;
+
+  if (recipe.autoOrient) pipeline = pipeline.autoOrient();
+  if (recipe.rotate !== undefined) pipeline = pipeline.rotate(recipe.rotate);
+  if (recipe.crop) pipeline = pipeline.extract(recipe.crop);
+
+  if (recipe.width || recipe.height) {
+    pipeline = pipeline.resize({
+      width: recipe.width,
+      height: recipe.height,
+      fit: recipe.fit,
+      position: recipe.position,
+      withoutEnlargement: recipe.withoutEnlargement,
+    });
+  }
+
+  if (recipe.operations) pipeline = await runOperations(pipeline, recipe.operations, ctx);
+
+  // sharp strips all metadata unless told otherwise
+  if (recipe.metadata === "keep") pipeline = pipeline.keepMetadata();
+  else if (recipe.metadata === "strip-gps" && keepExif) pipeline = pipeline.withExif(keepExif);
+  if (recipe.keepIcc) pipeline = pipeline.keepIccProfile();
+
+  switch (recipe.format) {
+    case "png":
+      return pipeline.png({ compressionLevel: 9 });
+    case "webp":
+      return pipeline.webp({ quality: recipe.quality });
+    case "avif":
+      return pipeline.avif({ quality: recipe.quality });
+    default:
+      return pipeline.jpeg({ quality: recipe.quality });
+  }
+}
+
+module.exports = {
+  METADATA_MODES,
+  DEFAULT_RECIPE,
+  DEFAULT_RENDITIONS,
+  parseRecipe,
+  applyRecipe,
+  extensionFor,
+  renditionPlan,
+  primaryRendition,
+};
@@ -0,0 +1,84 @@
+// lib/retry.js
+// Broker-native delayed retries. A failed message is published to a delay queue
+// for its attempt ("<queue>.retry.<n>") with a per-message TTL; when it expires
+// RabbitMQ dead-letters it back to the work queue. The retry count travels in
+// the "x-retries" header, so nothing is held in worker memory between attempts.
+
+const RETRY_HEADER = "x-retries";
+// times workers lacking a plugin handed the job back (worker.js)
+const DECLINE_HEADER = "x-declines";
+
+const BACKOFF = {
+  BASE_MS: parseInt(process.env.RETRY_BASE_MS, 10) || 3000,
+  MAX_MS: parseInt(process.env.RETRY_MAX_MS, 10) || 60000,
+  // +/- fraction of the delay, spreads out retries of jobs that failed together
+  JITTER: process.env.RETRY_JITTER !== undefined ? Number(process.env.RETRY_JITTER) : 0.2,
+};
+
+function delayQueueName(queue, attempt) {
+  return `${queue}.retry.${attempt}`;
+}
+
+// One delay queue per attempt keeps TTLs within a queue close together, so a
+// long delay never blocks a shorter one behind it (TTLs only expire at the head)
+async function assertRetryQueues(ch, queue, maxRetries) {
+  for (let attempt = 1; attempt < maxRetries; attempt++) {
+    await ch.assertQueue(delayQueueName(queue, attempt), {
+      durable: true,
+      deadLetterExchange: "",
+      deadLetterRoutingKey: queue,
+    });
+  }
+}
+
+// exponential backoff with jitter: base * 2^(attempt-1), capped at MAX_MS.
+// Callers with their own schedule (webhooks) pass { BASE_MS, MAX_MS, JITTER }.
+function backoffDelay(attempt, { BASE_MS, MAX_MS, JITTER } = BACKOFF) {
+  const delay = Math.min(MAX_MS, BASE_MS * 2 ** (attempt - 1));
+  const jitter = delay * JITTER * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(delay + jitter));
+}
+
+// header wins; the body's "retries" covers messages published before headers existed
+function retryCount(msg, job) {
+  const headers = msg.properties.headers || {};
+  const n = Number(headers[RETRY_HEADER]);
+  return Number.isInteger(n) ? n : job?.retries || 0;
+}
+
+// sendToQueue on a confirm channel, resolved once the broker has the message
+function sendConfirmed(ch, queue, content, options) {
+  return new Promise((resolve, reject) => {
+    ch.sendToQueue(queue, content, options, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+// publish on a confirm channel, resolved once the broker has the message
+function publishConfirmed(ch, exchange, routingKey, content, options) {
+  return new Promise((resolve, reject) => {
+    ch.publish(exchange, routingKey, content, options, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+// Schedule attempt number `attempt` of `msg`; resolves with the delay used
+async function publishRetry(ch, queue, msg, attempt) {
+  const delay = backoffDelay(attempt);
+  await sendConfirmed(ch, delayQueueName(queue, attempt), msg.content, {
+    persistent: true,
+    priority: msg.properties.priority,
+    expiration: String(delay),
+    headers: { ...msg.properties.headers, [RETRY_HEADER]: attempt },
+  });
+  return delay;
+}
+
+module.exports = {
+  RETRY_HEADER,
+  DECLINE_HEADER,
+  assertRetryQueues,
+  backoffDelay,
+  retryCount,
+  sendConfirmed,
+  publishConfirmed,
+  publishRetry,
+};
@@ -0,0 +1,114 @@
+// lib/routing.js
+// Jobs are published to one topic exchange with the routing key
+// "image.<type>.<size class>", e.g. image.resize.large. Every routing key has a
+// durable work queue of the same name bound to exactly that key, so a job lands
+// in one queue only, and nothing is unroutable while no worker runs. Workers pick
+// the keys they serve with topic patterns (WORKER_ROUTES, e.g. "image.resize.*").
+// Resize jobs using plugin operations go to an operations queue instead (below).
+
+const crypto = require("crypto");
+const { assertRetryQueues } = require("./retry");
+
+const JOB_EXCHANGE = process.env.JOB_EXCHANGE || "image_jobs.topic";
+const JOB_TYPES = ["resize", "watermark"];
+const SIZE_CLASSES = ["small", "medium", "large"];
+const MAX_PRIORITY = 10;
+
+// size class by input pixels: small < SIZE_SMALL_MAX_PIXELS <= medium < SIZE_LARGE_MIN_PIXELS <= large
+const SIZE_LIMITS = {
+  smallMaxPixels: parseInt(process.env.SIZE_SMALL_MAX_PIXELS, 10) || 1000 * 1000,
+  largeMinPixels: parseInt(process.env.SIZE_LARGE_MIN_PIXELS, 10) || 12 * 1000 * 1000,
+};
+
+// jobs published before the exchange existed (drained by general-purpose workers)
+const LEGACY_QUEUES = {
+  resize: "image_jobs",
+  watermark: process.env.WATERMARK_QUEUE || "watermark_jobs",
+};
+
+function sizeClass(pixels, { smallMaxPixels, largeMinPixels } = SIZE_LIMITS) {
+  if (!pixels) return "medium";
+  if (pixels < smallMaxPixels) return "small";
+  return pixels >= largeMinPixels ? "large" : "medium";
+}
+
+function routingKey(type, size) {
+  return `image.${type}.${SIZE_CLASSES.includes(size) ? size : "medium"}`;
+}
+
+const ROUTING_KEYS = JOB_TYPES.flatMap(type => SIZE_CLASSES.map(size => routingKey(type, size)));
+
+// plugin operations a resize recipe uses
+function recipeOperations(recipe) {
+  return [...new Set((recipe?.operations || []).map(o => o.op))];
+}
+
+// Queue of the workers that loaded exactly this set of operations,
+// "image.resize.ops.<op>+<op>": each such worker declares and consumes the one
+// for its own set, the producer routes a job to a set holding all it needs
+function operationsRoute(ops) {
+  const key = `image.resize.ops.${[...new Set(ops)].sort().join("+")}`;
+  // queue names are limited to 255 bytes
+  return key.length <= 200 ? key : `image.resize.ops.${crypto.createHash("sha1").update(key).digest("hex")}`;
+}
+
+// AMQP topic matching: "*" is one word, "#" zero or more
+function topicMatches(pattern, key) {
+  const p = pattern.split(".");
+  const k = key.split(".");
+  const match = (i, j) => {
+    if (i === p.length) return j === k.length;
+    if (p[i] === "#") return match(i + 1, j) || (j < k.length && match(i, j + 1));
+    return j < k.length && (p[i] === "*" || p[i] === k[j]) && match(i + 1, j + 1);
+  };
+  return match(0, 0);
+}
+
+// routing keys (= queues) a worker with these patterns consumes; throws on
+// patterns that match nothing or span several job types
+function resolveRoutes(patterns) {
+  const keys = ROUTING_KEYS.filter(key => patterns.some(p => topicMatches(p, key)));
+  const unmatched = patterns.filter(p => !ROUTING_KEYS.some(key => topicMatches(p, key)));
+  if (unmatched.length) {
+    throw new Error(`WORKER_ROUTES ${unmatched.join(", ")} match(es) none of: ${ROUTING_KEYS.join(", ")}`);
+  }
+  const types = [...new Set(keys.map(key => key.split(".")[1]))];
+  if (types.length !== 1) throw new Error(`WORKER_ROUTES must select a single job type, got: ${types.join(", ")}`);
+  return { type: types[0], keys };
+}
+
+// exchange + one queue per routing key (with its delay queues); run by the
+// producer and by every worker, so either can start first
+async function assertJobTopology(ch, { maxRetries }) {
+  await ch.assertExchange(JOB_EXCHANGE, "topic", { durable: true });
+  for (const key of ROUTING_KEYS) {
+    await ch.assertQueue(key, { durable: true, maxPriority: MAX_PRIORITY });
+    await ch.bindQueue(key, JOB_EXCHANGE, key);
+    await assertRetryQueues(ch, key, maxRetries);
+  }
+}
+
+// an operations queue (with its delay queues), declared by the workers that consume it
+async function assertOperationsQueue(ch, key, { maxRetries }) {
+  await ch.assertQueue(key, { durable: true, maxPriority: MAX_PRIORITY });
+  await ch.bindQueue(key, JOB_EXCHANGE, key);
+  await assertRetryQueues(ch, key, maxRetries);
+}
+
+module.exports = {
+  JOB_EXCHANGE,
+  JOB_TYPES,
+  SIZE_CLASSES,
+  SIZE_LIMITS,
+  MAX_PRIORITY,
+  LEGACY_QUEUES,
+  ROUTING_KEYS,
+  sizeClass,
+  routingKey,
+  recipeOperations,
+  operationsRoute,
+  topicMatches,
+  resolveRoutes,
+  assertJobTopology,
+  assertOperationsQueue,
+};
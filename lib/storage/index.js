@@ -0,0 +1,56 @@
+// lib/storage/index.js
+// Blob storage for uploads, processed and watermarked images and watermark logos,
+// shared by the producer and the workers.
+// STORAGE_BACKEND=local (default) | s3 (any S3-compatible endpoint, e.g. MinIO)
+
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+// every object lives in one of these areas; locally each is a directory under STORAGE_DIR
+const AREAS = ["uploads", "processed", "watermarked", "logos"];
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".gif": "image/gif",
+};
+
+function contentTypeFor(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream";
+}
+
+const DEFAULTS = {
+  backend: process.env.STORAGE_BACKEND || "local",
+  dir: process.env.STORAGE_DIR || ROOT,
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    prefix: process.env.S3_PREFIX || "",
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || "us-east-1",
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // MinIO and most self-hosted endpoints need path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === "true"
+      : !!process.env.S3_ENDPOINT,
+    urlExpires: parseInt(process.env.S3_URL_EXPIRES, 10) || 900,
+  },
+};
+
+function createStorage(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  switch (opts.backend) {
+    case "local":
+      return require("./local").createLocalStorage({ dir: opts.dir, areas: AREAS });
+    case "s3":
+      return require("./s3").createS3Storage({ ...DEFAULTS.s3, ...opts.s3 });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${opts.backend}`);
+  }
+}
+
+module.exports = { createStorage, AREAS, contentTypeFor };
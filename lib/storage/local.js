@@ -0,0 +1,87 @@
+// lib/storage/local.js
+// Local-disk storage: one directory per area. Only works when every process
+// shares the same filesystem.
+
+const fs = require("fs");
+const path = require("path");
+
+function createLocalStorage({ dir, areas }) {
+  for (const area of areas) fs.mkdirSync(path.join(dir, area), { recursive: true });
+
+  function dirFor(area) {
+    if (!areas.includes(area)) throw new Error(`Unknown storage area: ${area}`);
+    return path.join(dir, area);
+  }
+
+  // keys are plain file names; never let one escape its area
+  function fileFor(area, key) {
+    const name = path.basename(String(key));
+    if (!name || name !== key || name.startsWith(".")) throw new Error(`Invalid storage key: ${key}`);
+    return path.join(dirFor(area), name);
+  }
+
+  async function put(area, key, body) {
+    const file = fileFor(area, key);
+    const tmp = `${file}.tmp`;
+    await fs.promises.writeFile(tmp, body);
+    await fs.promises.rename(tmp, file);
+  }
+
+  // move a local temp file (e.g. a multer upload) into the area
+  async function putFile(area, key, src) {
+    const file = fileFor(area, key);
+    if (path.resolve(src) === file) return;
+    try {
+      await fs.promises.rename(src, file);
+    } catch (err) {
+      if (err.code !== "EXDEV") throw err;
+      await fs.promises.copyFile(src, file);
+      await fs.promises.unlink(src);
+    }
+  }
+
+  function get(area, key) {
+    return fs.promises.readFile(fileFor(area, key));
+  }
+
+  function stream(area, key) {
+    return fs.createReadStream(fileFor(area, key));
+  }
+
+  async function exists(area, key) {
+    try {
+      await fs.promises.access(fileFor(area, key));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async function remove(area, key) {
+    await fs.promises.rm(fileFor(area, key), { force: true });
+  }
+
+  // file names in the area, dotfiles (.gitkeep) and temp files excluded
+  async function list(area) {
+    const entries = await fs.promises.readdir(dirFor(area), { withFileTypes: true });
+    return entries
+      .filter(e => e.isFile() && !e.name.startsWith(".") && !e.name.endsWith(".tmp"))
+      .map(e => e.name);
+  }
+
+  return {
+    backend: "local",
+    put,
+    putFile,
+    get,
+    stream,
+    exists,
+    remove,
+    list,
+    // served straight from disk, so there is nothing to sign
+    signedUrl: async () => null,
+    dir: dirFor,
+  };
+}
+
+module.exports = { createLocalStorage };
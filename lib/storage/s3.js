@@ -0,0 +1,112 @@
+// lib/storage/s3.js
+// S3-compatible storage (AWS S3, MinIO, ...). Objects are stored as
+// "<prefix><area>/<key>" in one bucket, so workers on any machine see them.
+
+const fs = require("fs");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const { contentTypeFor } = require("./index");
+
+function createS3Storage({ bucket, prefix = "", endpoint, region, accessKeyId, secretAccessKey, forcePathStyle, urlExpires }) {
+  if (!bucket) throw new Error("S3_BUCKET is required for STORAGE_BACKEND=s3");
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    // fall back to the default AWS credential chain when no keys are given
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+  });
+
+  const objectKey = (area, key) => `${prefix}${area}/${key}`;
+
+  async function put(area, key, body) {
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: objectKey(area, key),
+      Body: body,
+      ContentType: contentTypeFor(key),
+    }));
+  }
+
+  // upload a local temp file (e.g. a multer upload), then drop the temp copy
+  async function putFile(area, key, src) {
+    const { size } = await fs.promises.stat(src);
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: objectKey(area, key),
+      Body: fs.createReadStream(src),
+      ContentLength: size,
+      ContentType: contentTypeFor(key),
+    }));
+    await fs.promises.rm(src, { force: true });
+  }
+
+  async function get(area, key) {
+    const res = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(area, key) }));
+    return Buffer.from(await res.Body.transformToByteArray());
+  }
+
+  async function stream(area, key) {
+    const res = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(area, key) }));
+    return res.Body;
+  }
+
+  async function exists(area, key) {
+    try {
+      await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(area, key) }));
+      return true;
+    } catch (err) {
+      if (err.name === "NotFound" || err.$metadata?.httpStatusCode === 404) return false;
+      throw err;
+    }
+  }
+
+  async function remove(area, key) {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(area, key) }));
+  }
+
+  async function list(area) {
+    const areaPrefix = objectKey(area, "");
+    const keys = [];
+    let token;
+    do {
+      const res = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: areaPrefix,
+        ContinuationToken: token,
+      }));
+      for (const obj of res.Contents || []) keys.push(obj.Key.slice(areaPrefix.length));
+      token = res.IsTruncated ? res.NextContinuationToken : undefined;
+    } while (token);
+    return keys.filter(k => k && !k.includes("/"));
+  }
+
+  // time-limited GET url, for redirecting browsers straight to the bucket
+  function signedUrl(area, key) {
+    return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: objectKey(area, key) }), {
+      expiresIn: urlExpires,
+    });
+  }
+
+  return {
+    backend: "s3",
+    put,
+    putFile,
+    get,
+    stream,
+    exists,
+    remove,
+    list,
+    signedUrl,
+  };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,78 @@
+// lib/validation.js
+// Producer-side checks for uploaded / imported images before they are queued:
+// size, magic bytes, allowed formats and the decoded header (pixel limit
+// against decompression bombs). Rejections carry a reason meant for the client.
+
+const fs = require("fs");
+const sharp = require("sharp");
+
+const UPLOAD_LIMITS = {
+  maxBytes: parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 25 * 1024 * 1024,
+  maxPixels: parseInt(process.env.UPLOAD_MAX_PIXELS, 10) || 50 * 1000 * 1000,
+  formats: (process.env.UPLOAD_FORMATS || "jpeg,png,webp,gif,avif,tiff").split(",").map(f => f.trim().toLowerCase()),
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// ISO-BMFF brands (bytes 8-12 after "ftyp")
+const AVIF_BRANDS = ["avif", "avis"];
+const HEIC_BRANDS = ["heic", "heix", "hevc", "hevx", "mif1", "msf1"];
+
+// format from the first bytes of a file, null when unknown
+function sniffFormat(head) {
+  const ascii = (start, end) => head.toString("latin1", start, end);
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return "jpeg";
+  if (head.subarray(0, 8).equals(PNG_SIGNATURE)) return "png";
+  if (["GIF87a", "GIF89a"].includes(ascii(0, 6))) return "gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "webp";
+  if (["II*\0", "MM\0*"].includes(ascii(0, 4))) return "tiff";
+  if (ascii(4, 8) === "ftyp") {
+    if (AVIF_BRANDS.includes(ascii(8, 12))) return "avif";
+    if (HEIC_BRANDS.includes(ascii(8, 12))) return "heic";
+  }
+  return null;
+}
+
+async function sniffFile(file) {
+  const fd = await fs.promises.open(file, "r");
+  try {
+    const head = Buffer.alloc(16);
+    const { bytesRead } = await fd.read(head, 0, head.length, 0);
+    return sniffFormat(head.subarray(0, bytesRead));
+  } finally {
+    await fd.close();
+  }
+}
+
+// sharp reports AVIF and HEIC both as "heif"
+const SHARP_FORMATS = { avif: "heif", heic: "heif" };
+
+// Resolves to { format, width, height, bytes } or rejects with the reason.
+async function validateImage(file, { maxBytes, maxPixels, formats } = UPLOAD_LIMITS) {
+  const { size } = await fs.promises.stat(file);
+  if (!size) throw new Error("file is empty");
+  if (size > maxBytes) throw new Error(`file is ${size} bytes, more than the ${maxBytes} allowed`);
+
+  const format = await sniffFile(file);
+  if (!format) throw new Error("not a supported image (unknown file signature)");
+  if (!formats.includes(format)) throw new Error(`${format} images are not allowed (allowed: ${formats.join(", ")})`);
+
+  // metadata only parses the header, so even huge images are cheap to check
+  let meta;
+  try {
+    meta = await sharp(file, { limitInputPixels: false }).metadata();
+  } catch (err) {
+    throw new Error(`corrupt or unreadable ${format} image`);
+  }
+  if (meta.format !== (SHARP_FORMATS[format] || format)) {
+    throw new Error(`file signature says ${format} but the image decodes as ${meta.format}`);
+  }
+  if (!meta.width || !meta.height) throw new Error("image has no dimensions");
+  const pixels = meta.width * meta.height;
+  if (pixels > maxPixels) {
+    throw new Error(`${meta.width}x${meta.height} is ${pixels} pixels, more than the ${maxPixels} allowed`);
+  }
+  return { format, width: meta.width, height: meta.height, bytes: size };
+}
+
+module.exports = { UPLOAD_LIMITS, sniffFormat, sniffFile, validateImage };
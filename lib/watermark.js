@@ -0,0 +1,148 @@
+// lib/watermark.js
+// Watermark specs: validated by the producer, rendered by the watermark worker
+
+const path = require("path");
+const sharp = require("sharp");
+
+const PLACEMENTS = ["tiled", "top-left", "top-right", "bottom-left", "bottom-right", "center"];
+
+// what every watermark looked like before specs existed
+const DEFAULT_SPEC = {
+  text: "@watermark",
+  placement: "tiled",
+  opacity: 0.3,
+  color: "white",
+  font: "Arial",
+  fontSize: 36,
+};
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Normalize a watermark spec coming from a request (object or JSON string),
+// optionally layered on top of a saved preset.
+// Throws with a user-facing message when the spec is invalid.
+function parseWatermarkSpec(input, preset = null) {
+  let raw = input;
+  if (raw === undefined || raw === null || raw === "") raw = {};
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch (e) {
+      throw new Error("watermark spec must be valid JSON");
+    }
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("watermark spec must be an object");
+
+  raw = { ...(preset || {}), ...raw };
+  const spec = {};
+
+  if (raw.logo !== undefined && raw.logo !== null) {
+    // logos are stored by the producer in the "logos" storage area; only the file name travels
+    if (typeof raw.logo !== "string" || path.basename(raw.logo) !== raw.logo || !/\.png$/i.test(raw.logo)) {
+      throw new Error("watermark.logo must be the name of an uploaded PNG logo");
+    }
+    spec.logo = raw.logo;
+  } else {
+    const text = raw.text === undefined ? DEFAULT_SPEC.text : String(raw.text);
+    if (!text.trim() || text.length > 200) throw new Error("watermark.text must be 1-200 characters");
+    spec.text = text;
+  }
+
+  spec.placement = raw.placement === undefined ? DEFAULT_SPEC.placement : raw.placement;
+  if (!PLACEMENTS.includes(spec.placement)) {
+    throw new Error(`watermark.placement must be one of: ${PLACEMENTS.join(", ")}`);
+  }
+
+  spec.opacity = raw.opacity === undefined ? DEFAULT_SPEC.opacity : Number(raw.opacity);
+  if (!Number.isFinite(spec.opacity) || spec.opacity < 0 || spec.opacity > 1) {
+    throw new Error("watermark.opacity must be a number between 0 and 1");
+  }
+
+  // scale: text height / logo width as a fraction of the image width
+  if (raw.scale !== undefined) {
+    spec.scale = Number(raw.scale);
+    if (!Number.isFinite(spec.scale) || spec.scale <= 0 || spec.scale > 1) {
+      throw new Error("watermark.scale must be a number greater than 0 and at most 1");
+    }
+  }
+
+  if (spec.text !== undefined) {
+    spec.color = raw.color === undefined ? DEFAULT_SPEC.color : String(raw.color);
+    if (!/^(#[0-9a-f]{3,8}|[a-z]{3,20})$/i.test(spec.color)) {
+      throw new Error("watermark.color must be a hex color or a color name");
+    }
+    spec.font = raw.font === undefined ? DEFAULT_SPEC.font : String(raw.font);
+    if (!/^[\w ,-]{1,60}$/.test(spec.font)) throw new Error("watermark.font must be a font family name");
+  }
+
+  return spec;
+}
+
+function textSvg(spec, w, h) {
+  const fontSize = spec.scale ? Math.max(8, Math.round(spec.scale * w)) : DEFAULT_SPEC.fontSize;
+  const attrs = `font-size="${fontSize}" fill="${escapeXml(spec.color)}" opacity="${spec.opacity}" font-family="${escapeXml(spec.font)}"`;
+  const text = escapeXml(spec.text);
+  const parts = [`<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}">`];
+
+  if (spec.placement === "tiled") {
+    // rough text width estimate so long texts don't overlap
+    const stepX = Math.round(Math.max(fontSize * 5.5, spec.text.length * fontSize * 0.6 + fontSize));
+    const stepY = Math.round(fontSize * 3.3);
+    for (let y = Math.round(fontSize * 1.1); y < h; y += stepY) {
+      for (let x = 0; x < w + stepX; x += stepX) {
+        parts.push(`<text x="${x}" y="${y}" ${attrs}>${text}</text>`);
+      }
+    }
+  } else {
+    const margin = Math.round(Math.min(w, h) * 0.03);
+    const [vertical, horizontal] = spec.placement === "center" ? ["center", "center"] : spec.placement.split("-");
+    const x = horizontal === "left" ? margin : horizontal === "right" ? w - margin : w / 2;
+    const y = vertical === "top" ? margin + fontSize : vertical === "bottom" ? h - margin : h / 2;
+    const anchor = horizontal === "left" ? "start" : horizontal === "right" ? "end" : "middle";
+    const baseline = vertical === "center" ? ` dominant-baseline="middle"` : "";
+    parts.push(`<text x="${x}" y="${y}" text-anchor="${anchor}"${baseline} ${attrs}>${text}</text>`);
+  }
+
+  parts.push("</svg>");
+  return Buffer.from(parts.join(""));
+}
+
+async function logoLayer(spec, w, h, loadLogo) {
+  const logoWidth = Math.max(1, Math.round((spec.scale || 0.2) * w));
+  // multiply the logo's alpha channel by the requested opacity
+  const { data, info } = await sharp(await loadLogo(spec.logo))
+    .resize({ width: logoWidth, height: h, fit: "inside" })
+    .ensureAlpha()
+    .composite([{
+      input: Buffer.from([255, 255, 255, Math.round(255 * spec.opacity)]),
+      raw: { width: 1, height: 1, channels: 4 },
+      tile: true,
+      blend: "dest-in",
+    }])
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  if (spec.placement === "tiled") return { input: data, tile: true, gravity: "northwest" };
+
+  const margin = Math.round(Math.min(w, h) * 0.03);
+  const [vertical, horizontal] = spec.placement === "center" ? ["center", "center"] : spec.placement.split("-");
+  const left = horizontal === "left" ? margin : horizontal === "right" ? w - info.width - margin : (w - info.width) / 2;
+  const top = vertical === "top" ? margin : vertical === "bottom" ? h - info.height - margin : (h - info.height) / 2;
+  return { input: data, left: Math.max(0, Math.round(left)), top: Math.max(0, Math.round(top)) };
+}
+
+// Composite layer for sharp's .composite() for an image of w x h.
+// loadLogo(name) resolves to the logo's bytes (only called for logo specs).
+async function watermarkLayer(spec = DEFAULT_SPEC, w, h, loadLogo) {
+  if (spec.logo) return logoLayer(spec, w, h, loadLogo);
+  return { input: textSvg(spec, w, h), gravity: "northwest" };
+}
+
+module.exports = { DEFAULT_SPEC, PLACEMENTS, escapeXml, parseWatermarkSpec, watermarkLayer };
@@ -0,0 +1,227 @@
+// lib/webhooks.js
+// Outgoing webhooks: subscriptions (webhooks.json), HMAC-signed deliveries with
+// retries and backoff, and a capped delivery log (webhook-deliveries.json).
+// Deliveries still pending when the producer stops are resumed on the next start.
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { backoffDelay } = require("./retry");
+
+const WEBHOOK_EVENTS = ["success", "dead", "watermarked", "batch_completed", "workflow_completed"];
+
+const WEBHOOK_DEFAULTS = {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000,
+  logLimit: parseInt(process.env.WEBHOOK_LOG_LIMIT, 10) || 1000,
+  backoff: {
+    BASE_MS: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2000,
+    MAX_MS: parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 5 * 60 * 1000,
+    JITTER: 0.2,
+  },
+};
+
+// "sha256=<hex>" over "<timestamp>.<body>"; receivers recompute it with their secret
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// the webhook event a job log triggers, or null. A watermark job logs success on
+// its way to watermarked: only the latter is its webhook.
+function jobLogEvent(log, job) {
+  if (!WEBHOOK_EVENTS.includes(log.status)) return null;
+  if (log.status === "success" && job?.watermarkedFilename) return null;
+  return log.status;
+}
+
+function readJson(file) {
+  try {
+    if (!fs.existsSync(file)) return {};
+    const raw = fs.readFileSync(file, "utf-8");
+    return raw ? JSON.parse(raw) : {};
+  } catch (e) {
+    console.error(`Failed to read ${file}, returning empty:`, e);
+    return {};
+  }
+}
+
+function writeJson(file, data) {
+  const tmp = file + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// { url, events?, secret? } -> validated subscription fields
+function parseSubscription(input = {}) {
+  let url;
+  try {
+    url = new URL(String(input.url));
+  } catch (e) {
+    throw new Error("url must be a valid http(s) URL");
+  }
+  if (!["http:", "https:"].includes(url.protocol)) throw new Error("url must be a valid http(s) URL");
+
+  const events = input.events === undefined ? WEBHOOK_EVENTS : input.events;
+  if (!Array.isArray(events) || !events.length || events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+    throw new Error(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(", ")}`);
+  }
+
+  if (input.secret !== undefined && (typeof input.secret !== "string" || input.secret.length < 16)) {
+    throw new Error("secret must be a string of at least 16 characters");
+  }
+  return { url: url.toString(), events: [...new Set(events)], secret: input.secret };
+}
+
+function createWebhooks({ file, logFile, ...options }) {
+  const opts = { ...WEBHOOK_DEFAULTS, ...options };
+  const timers = new Map(); // deliveryId -> pending retry timer
+
+  // secrets are only shown once, when the subscription is created
+  const publicView = ({ secret, ...hook }) => hook;
+
+  function list() {
+    return Object.values(readJson(file)).map(publicView);
+  }
+
+  function get(id) {
+    const hook = readJson(file)[id];
+    return hook ? publicView(hook) : null;
+  }
+
+  function add(input) {
+    const { url, events, secret } = parseSubscription(input);
+    const hook = {
+      id: crypto.randomUUID(),
+      url,
+      events,
+      secret: secret || crypto.randomBytes(32).toString("hex"),
+      createdAt: new Date().toISOString(),
+    };
+    const hooks = readJson(file);
+    hooks[hook.id] = hook;
+    writeJson(file, hooks);
+    return hook;
+  }
+
+  function remove(id) {
+    const hooks = readJson(file);
+    if (!hooks[id]) return false;
+    delete hooks[id];
+    writeJson(file, hooks);
+    return true;
+  }
+
+  // delivery log, newest first; optionally for one webhook
+  function deliveries({ webhookId, limit = 100 } = {}) {
+    return Object.values(readJson(logFile))
+      .filter(d => !webhookId || d.webhookId === webhookId)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+      .slice(0, limit);
+  }
+
+  function saveDelivery(delivery) {
+    const log = readJson(logFile);
+    log[delivery.id] = delivery;
+    // keep the newest logLimit entries
+    const ids = Object.keys(log);
+    if (ids.length > opts.logLimit) {
+      ids.sort((a, b) => (log[a].createdAt < log[b].createdAt ? -1 : 1))
+        .slice(0, ids.length - opts.logLimit)
+        .forEach((old) => delete log[old]);
+    }
+    writeJson(logFile, log);
+  }
+
+  async function attempt(delivery) {
+    timers.delete(delivery.id);
+    const hook = readJson(file)[delivery.webhookId];
+    if (!hook) {
+      saveDelivery({ ...delivery, status: "cancelled", nextAttemptAt: null, updatedAt: new Date().toISOString() });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+    let statusCode = null;
+    let error = null;
+    try {
+      const res = await fetch(hook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": signPayload(hook.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(opts.timeoutMs),
+      });
+      statusCode = res.status;
+      if (!res.ok) error = `HTTP ${res.status}`;
+    } catch (err) {
+      error = err.name === "TimeoutError" ? "timed out" : err.message;
+    }
+
+    const now = new Date().toISOString();
+    const next = { ...delivery, attempts, lastStatusCode: statusCode, lastError: error, updatedAt: now };
+    if (!error) {
+      saveDelivery({ ...next, status: "delivered", deliveredAt: now, nextAttemptAt: null });
+    } else if (attempts >= opts.maxAttempts) {
+      console.warn(`Webhook ${hook.id} gave up on ${delivery.event} after ${attempts} attempt(s): ${error}`);
+      saveDelivery({ ...next, status: "failed", nextAttemptAt: null });
+    } else {
+      const delay = backoffDelay(attempts, opts.backoff);
+      const retrying = { ...next, status: "retrying", nextAttemptAt: new Date(Date.now() + delay).toISOString() };
+      saveDelivery(retrying);
+      schedule(retrying, delay);
+    }
+  }
+
+  function schedule(delivery, delay) {
+    const timer = setTimeout(() => attempt(delivery).catch(err => console.error("Webhook delivery error:", err)), delay);
+    timer.unref();
+    timers.set(delivery.id, timer);
+  }
+
+  // queue one delivery per subscription interested in the event
+  function dispatch(event, data) {
+    const hooks = Object.values(readJson(file)).filter(h => h.events.includes(event));
+    for (const hook of hooks) {
+      const now = new Date().toISOString();
+      const delivery = {
+        id: crypto.randomUUID(),
+        webhookId: hook.id,
+        event,
+        url: hook.url,
+        status: "pending",
+        attempts: 0,
+        lastStatusCode: null,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now,
+        nextAttemptAt: now,
+        payload: { event, timestamp: now, data },
+      };
+      delivery.payload.id = delivery.id;
+      saveDelivery(delivery);
+      schedule(delivery, 0);
+    }
+    return hooks.length;
+  }
+
+  // pick up deliveries that were pending/retrying when the process stopped
+  function resume() {
+    let resumed = 0;
+    for (const delivery of Object.values(readJson(logFile))) {
+      if (!["pending", "retrying"].includes(delivery.status) || timers.has(delivery.id)) continue;
+      schedule(delivery, Math.max(0, new Date(delivery.nextAttemptAt || 0) - Date.now()));
+      resumed++;
+    }
+    return resumed;
+  }
+
+  return { list, get, add, remove, deliveries, dispatch, resume };
+}
+
+module.exports = { WEBHOOK_EVENTS, signPayload, jobLogEvent, parseSubscription, createWebhooks };
@@ -0,0 +1,254 @@
+// lib/workflow.js
+// Multi-step workflows declared at upload time, e.g. resize -> watermark -> thumbnail.
+// Every step runs as its own job. When a step succeeds, its worker publishes the
+// steps that run after it, so each step knows its input by job lineage rather
+// than by file name. The root job (the upload's job) tracks every step in `workflow`.
+
+const crypto = require("crypto");
+const path = require("path");
+const { parseRecipe } = require("./recipe");
+const { parseWatermarkSpec } = require("./watermark");
+const { publishConfirmed } = require("./retry");
+const { JOB_TYPES, JOB_EXCHANGE, routingKey } = require("./routing");
+
+const STEP_TYPES = JOB_TYPES;
+const MAX_STEPS = 10;
+
+// storage area each step type writes its output to
+const STEP_OUTPUT_AREAS = { resize: "processed", watermark: "watermarked" };
+
+// step statuses that let the steps after it run / that end a branch
+const STEP_DONE = ["success", "watermarked"];
+const STEP_STOPPED = ["dead", "cancelled"];
+
+// Normalize a workflow coming from a request (object or JSON string):
+//   { steps: [{ id, type: "resize", recipe? },
+//             { id, type: "watermark", after, watermark?, preset? }, ...] }
+// Exactly one step has no "after": the resize of the upload. Every other step
+// runs on the output of the step named in "after"; several steps after the same
+// step are branches. Throws with a user-facing message when the workflow is invalid.
+function parseWorkflow(input, { presets = {} } = {}) {
+  if (input === undefined || input === null || input === "") return null;
+
+  let raw = input;
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch (e) {
+      throw new Error("workflow must be valid JSON");
+    }
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("workflow must be an object");
+  if (!Array.isArray(raw.steps) || !raw.steps.length || raw.steps.length > MAX_STEPS) {
+    throw new Error(`workflow.steps must be an array of 1-${MAX_STEPS} steps`);
+  }
+
+  const steps = raw.steps.map((s, i) => {
+    const at = `workflow.steps[${i}]`;
+    if (!s || typeof s !== "object" || Array.isArray(s)) throw new Error(`${at} must be an object`);
+    if (typeof s.id !== "string" || !/^[\w-]{1,50}$/.test(s.id)) {
+      throw new Error(`${at}.id must be 1-50 letters, digits, _ or -`);
+    }
+    if (!STEP_TYPES.includes(s.type)) throw new Error(`${at}.type must be one of: ${STEP_TYPES.join(", ")}`);
+
+    const step = { id: s.id, type: s.type };
+    if (s.after !== undefined && s.after !== null) {
+      if (typeof s.after !== "string") throw new Error(`${at}.after must be the id of another step`);
+      step.after = s.after;
+    }
+    if (s.type === "resize") {
+      step.recipe = parseRecipe(s.recipe);
+    } else {
+      let preset = null;
+      if (s.preset !== undefined) {
+        preset = presets[s.preset];
+        if (!preset) throw new Error(`Unknown watermark preset: ${s.preset}`);
+      }
+      step.watermark = parseWatermarkSpec(s.watermark, preset);
+    }
+    return step;
+  });
+
+  const byId = new Map();
+  for (const step of steps) {
+    if (byId.has(step.id)) throw new Error(`workflow step id ${step.id} is used twice`);
+    byId.set(step.id, step);
+  }
+  for (const step of steps) {
+    if (step.after && !byId.has(step.after)) throw new Error(`workflow step ${step.id} runs after unknown step ${step.after}`);
+  }
+
+  const roots = steps.filter(s => !s.after);
+  if (roots.length !== 1 || roots[0].type !== "resize") {
+    throw new Error("workflow needs exactly one first step (without \"after\") and it must be a resize");
+  }
+  // with a single first step, a step that never reaches it is part of a cycle
+  for (const step of steps) {
+    const seen = new Set();
+    for (let s = step; s.after; s = byId.get(s.after)) {
+      if (seen.has(s.id)) throw new Error(`workflow step ${step.id} is part of a cycle`);
+      seen.add(s.id);
+    }
+  }
+  // watermark outputs are named after their input (<input>_wm.<ext>), so one per input
+  for (const step of steps) {
+    if (steps.filter(s => s.after === step.id && s.type === "watermark").length > 1) {
+      throw new Error(`at most one watermark step can run after ${step.id}`);
+    }
+  }
+
+  return { steps };
+}
+
+function rootStep(workflow) {
+  return workflow.steps.find(s => !s.after);
+}
+
+function nextSteps(workflow, stepId) {
+  return workflow.steps.filter(s => s.after === stepId);
+}
+
+// The first step is the upload's own job; later steps get ids derived from the
+// root job, so a redelivered message can never publish the same step twice
+function stepJobId(workflowId, stepId, workflow) {
+  if (workflow && rootStep(workflow).id === stepId) return workflowId;
+  const hex = crypto.createHash("sha256").update(`${workflowId}:${stepId}`).digest("hex");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+// per-step view kept on the root job record
+function workflowState(workflow, workflowId) {
+  return {
+    status: "running",
+    steps: workflow.steps.map(s => ({
+      id: s.id,
+      type: s.type,
+      after: s.after || null,
+      jobId: stepJobId(workflowId, s.id, workflow),
+      status: s.after ? "pending" : "queued",
+    })),
+  };
+}
+
+// Apply a step job's log event to the workflow state. Steps behind a dead or
+// cancelled step are "skipped" (until it is replayed); the workflow is
+// "completed" when every step succeeded, "failed" when the rest can't run.
+function advanceWorkflow(state, stepId, log) {
+  const steps = state.steps.map(s => ({ ...s }));
+  const step = steps.find(s => s.id === stepId);
+  if (!step) return state;
+
+  step.status = log.status;
+  step.updatedAt = log.timestamp;
+  if (log.error) step.error = log.error;
+  if (STEP_DONE.includes(log.status) && log.filename) {
+    step.output = { area: STEP_OUTPUT_AREAS[step.type], key: log.filename };
+  }
+
+  const byId = new Map(steps.map(s => [s.id, s]));
+  const blocked = (s) => {
+    for (let p = byId.get(s.after); p; p = byId.get(p.after)) {
+      if (STEP_STOPPED.includes(p.status)) return true;
+    }
+    return false;
+  };
+  for (const s of steps) {
+    if (s.status === "pending" && blocked(s)) s.status = "skipped";
+    else if (s.status === "skipped" && !blocked(s)) s.status = "pending";
+  }
+
+  const finished = steps.every(s => [...STEP_DONE, ...STEP_STOPPED, "skipped"].includes(s.status));
+  let status = "running";
+  if (finished) status = steps.every(s => STEP_DONE.includes(s.status)) ? "completed" : "failed";
+  return { ...state, status, steps };
+}
+
+// queue message for `step`, run on `source` ({ area, key }): the output of the step before it.
+// Every step is routed with the size class of the upload.
+function stepMessage(step, { workflowId, workflow, source, originalName, priority, sizeClass }) {
+  const message = {
+    jobId: stepJobId(workflowId, step.id, workflow),
+    originalName,
+    source,
+    sizeClass,
+    workflowId,
+    workflow,
+    stepId: step.id,
+    retries: 0,
+    createdAt: new Date().toISOString(),
+  };
+  if (step.type === "resize") return { ...message, recipe: step.recipe, priority };
+
+  const ext = path.extname(source.key);
+  return {
+    ...message,
+    processedFilename: source.key,
+    watermarkedFilename: `${path.basename(source.key, ext)}_wm${ext}`,
+    watermark: step.watermark,
+  };
+}
+
+// Called by a worker (on its confirm channel) once the step message `job`
+// produced `output`: publish the steps after it. Each step's "queued" log goes
+// out first and carries its record (log.step), which the producer stores, so
+// workers need no job store. A redelivered `job` publishes them again: the
+// producer ignores a step it already has, the step's already-done check skips
+// the second run.
+async function publishNextSteps(ch, { publishLog }, job, output) {
+  if (!job.workflow || !job.stepId) return [];
+  const published = [];
+
+  for (const step of nextSteps(job.workflow, job.stepId)) {
+    const message = stepMessage(step, {
+      workflowId: job.workflowId,
+      workflow: job.workflow,
+      source: output,
+      originalName: job.originalName || null,
+      priority: job.priority,
+      sizeClass: job.sizeClass,
+    });
+    const filename = message.watermarkedFilename || output.key;
+
+    publishLog({
+      jobId: message.jobId,
+      filename,
+      originalName: message.originalName,
+      status: "queued",
+      retries: 0,
+      worker: null,
+      step: {
+        filename,
+        originalName: message.originalName,
+        workflowId: message.workflowId,
+        stepId: step.id,
+        parentJobId: job.jobId,
+        source: output,
+        sizeClass: job.sizeClass,
+        ...(step.type === "resize"
+          ? { recipe: step.recipe, priority: job.priority }
+          : { processedFilename: output.key, watermarkedFilename: message.watermarkedFilename, watermark: step.watermark }),
+        createdAt: message.createdAt,
+      },
+      timestamp: message.createdAt,
+    });
+    // resize steps with plugin operations were routed by the producer (step.route)
+    await publishConfirmed(ch, JOB_EXCHANGE, step.route || routingKey(step.type, job.sizeClass), Buffer.from(JSON.stringify(message)), {
+      persistent: true,
+      priority: message.priority,
+    });
+    published.push(message.jobId);
+  }
+  return published;
+}
+
+module.exports = {
+  STEP_TYPES,
+  parseWorkflow,
+  rootStep,
+  nextSteps,
+  stepJobId,
+  workflowState,
+  advanceWorkflow,
+  stepMessage,
+  publishNextSteps,
+};
@@ -0,0 +1,28 @@
+// plugins/blur.js
+// Whole-image blur, or only the given regions (e.g. faces), in pixels of the resized image
+const region = {
+  type: "object",
+  properties: {
+    left: { type: "integer", min: 0, required: true },
+    top: { type: "integer", min: 0, required: true },
+    width: { type: "integer", min: 1, required: true },
+    height: { type: "integer", min: 1, required: true },
+  },
+};
+
+module.exports = {
+  name: "blur",
+  description: "Gaussian blur of the whole image or of regions { left, top, width, height }",
+  params: {
+    sigma: { type: "number", min: 0.3, max: 100, default: 10 },
+    regions: { type: "array", minItems: 1, maxItems: 50, items: region },
+  },
+  async apply(img, { sigma, regions }, { overlay }) {
+    if (!regions) return img.blur(sigma);
+    for (const r of regions) {
+      const patch = await img.clone().extract(r).blur(sigma).png().toBuffer();
+      overlay({ input: patch, left: r.left, top: r.top });
+    }
+    return img;
+  },
+};
@@ -0,0 +1,12 @@
+// plugins/border.js
+module.exports = {
+  name: "border",
+  description: "Add a solid border around the image",
+  params: {
+    width: { type: "integer", min: 1, max: 1000, default: 10 },
+    color: { type: "string", pattern: "^(#[0-9a-fA-F]{3,8}|[a-z]{3,20})$", default: "#ffffff" },
+  },
+  apply(img, { width, color }) {
+    return img.extend({ top: width, bottom: width, left: width, right: width, background: color });
+  },
+};
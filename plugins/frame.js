@@ -0,0 +1,18 @@
+// plugins/frame.js
+// Composite a PNG frame (uploaded as a watermark logo, see /watermark-presets)
+// stretched over the whole image; its transparent middle shows the picture
+const sharp = require("sharp");
+
+module.exports = {
+  name: "frame",
+  description: "Overlay a PNG frame from the logos area, stretched to the image size",
+  params: {
+    logo: { type: "string", pattern: "^[\\w.-]+\\.png$", required: true },
+  },
+  async apply(img, { logo }, { readLogo, overlay }) {
+    const { info } = await img.clone().png().toBuffer({ resolveWithObject: true });
+    const frame = await sharp(await readLogo(logo)).resize(info.width, info.height, { fit: "fill" }).png().toBuffer();
+    overlay({ input: frame, left: 0, top: 0 });
+    return img;
+  },
+};
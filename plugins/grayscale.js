@@ -0,0 +1,9 @@
+// plugins/grayscale.js
+module.exports = {
+  name: "grayscale",
+  description: "Convert to grayscale",
+  params: {},
+  apply(img) {
+    return img.grayscale();
+  },
+};
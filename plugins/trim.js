@@ -0,0 +1,12 @@
+// plugins/trim.js
+module.exports = {
+  name: "trim",
+  description: "Trim a uniform border (e.g. whitespace) off the edges",
+  params: {
+    // how far a pixel may differ from the corner color and still be trimmed
+    threshold: { type: "integer", min: 0, max: 255, default: 10 },
+  },
+  apply(img, { threshold }) {
+    return img.trim({ threshold });
+  },
+};
@@ -10,6 +10,34 @@ const { v4: uuidv4 } = require("uuid");
 const http = require("http");
 const { Server } = require("socket.io");
 const sharp = require("sharp");
+const { parseRecipe } = require("./lib/recipe");
+const { hashFile, dedupKey } = require("./lib/fingerprint");
+const {
+  IMPORT_LIMITS,
+  resolveImportPath,
+  fetchToFile,
+  listDirectoryImages,
+  copyToFile,
+  extractZipImages,
+} = require("./lib/import");
+const { VARIANTS, createExport } = require("./lib/export");
+const { jobLogEvent, createWebhooks } = require("./lib/webhooks");
+const { createAuth, requireUser, requireAdmin } = require("./lib/auth");
+const { UPLOAD_LIMITS, sniffFile, validateImage } = require("./lib/validation");
+const { createRateLimiter } = require("./lib/rate-limit");
+const { parseWatermarkSpec } = require("./lib/watermark");
+const { parseWorkflow, rootStep, workflowState, advanceWorkflow } = require("./lib/workflow");
+const { describeOperations } = require("./lib/operations");
+const { createJobStore, LEGACY_JSON_FILE } = require("./lib/job-store");
+const { createStorage, contentTypeFor } = require("./lib/storage");
+const { assertRetryQueues } = require("./lib/retry");
+const { createOutbox } = require("./lib/outbox");
+const {
+  JOB_EXCHANGE, ROUTING_KEYS, sizeClass, routingKey, recipeOperations, operationsRoute, assertJobTopology,
+} = require("./lib/routing");
+const { client, PREFIX, DURATION_BUCKETS, createRegistry } = require("./lib/metrics");
+const { HEARTBEAT_EXCHANGE, HEARTBEAT_INTERVAL_MS } = require("./lib/heartbeat");
+const { CONTROL_EXCHANGE, announce } = require("./lib/cancel");
 
 
 ///////////////////////
@@ -23,11 +51,28 @@ const CONFIG = {
   DEAD_QUEUE: "dead_jobs",
   LOG_EXCHANGE: "logs", // fanout
   WATERMARK_QUEUE: "watermark_jobs",
-  JOB_STORE: path.join(__dirname, "jobs.json"),
-  UPLOAD_DIR: path.join(__dirname, "uploads"),
-  PROCESSED_DIR: path.join(__dirname, "processed"),
-  WATERMARKED_DIR: path.join(__dirname, "watermarked"),
+  UPLOAD_DIR: path.join(__dirname, "uploads"), // multer staging; files then move into storage
+  // with S3 storage, /processed and /watermarked redirect to signed URLs instead of proxying
+  SIGNED_URLS: process.env.STORAGE_SIGNED_URLS === "true",
+  PRESET_STORE: path.join(__dirname, "watermark-presets.json"),
+  DLQ_STORE: path.join(__dirname, "dead-letters.json"),
+  WEBHOOK_STORE: path.join(__dirname, "webhooks.json"),
+  WEBHOOK_LOG: path.join(__dirname, "webhook-deliveries.json"),
+  OUTBOX_STORE: path.join(__dirname, "outbox.json"), // jobs not yet confirmed by RabbitMQ
+  OUTBOX_FLUSH_MS: parseInt(process.env.OUTBOX_FLUSH_MS, 10) || 30 * 1000,
+  USER_STORE: path.join(__dirname, "users.json"),
   MAX_UPLOAD: parseInt(process.env.MAX_UPLOAD_COUNT, 10) || 20,
+  // per user, admins are exempt; 0 disables
+  UPLOAD_QUOTA_BYTES: parseInt(process.env.UPLOAD_QUOTA_BYTES ?? 1024 * 1024 * 1024, 10) || 0,
+  UPLOAD_RATE_LIMIT: parseInt(process.env.UPLOAD_RATE_LIMIT ?? 120, 10) || 0, // files per user and per IP
+  UPLOAD_RATE_WINDOW_MS: parseInt(process.env.UPLOAD_RATE_WINDOW_MS, 10) || 60 * 1000,
+  LOGIN_RATE_LIMIT: parseInt(process.env.LOGIN_RATE_LIMIT ?? 10, 10) || 0, // failed logins per IP and per username
+  LOGIN_RATE_WINDOW_MS: parseInt(process.env.LOGIN_RATE_WINDOW_MS, 10) || 15 * 60 * 1000,
+  MAX_RETRIES: parseInt(process.env.MAX_RETRIES, 10) || 3, // delay queues to declare / monitor
+  // a worker is stale after missing ~3 heartbeats, forgotten after an hour
+  WORKER_STALE_MS: parseInt(process.env.WORKER_STALE_MS, 10) || HEARTBEAT_INTERVAL_MS * 3,
+  WORKER_FORGET_MS: 60 * 60 * 1000,
+  MAX_PRIORITY: 10, // x-max-priority of the job queues, must match lib/routing
 
 };
 
@@ -48,51 +93,326 @@ function shortId(id) {
   return String(id || "").replace(/-/g, "").slice(0, 8);
 }
 
+// named priority lanes for image_jobs; a number 0..MAX_PRIORITY is accepted too
+const PRIORITY_LANES = { low: 1, normal: 5, high: 9 };
+
+function parsePriority(value) {
+  if (value === undefined || value === null || value === "") return PRIORITY_LANES.normal;
+  if (PRIORITY_LANES[value] !== undefined) return PRIORITY_LANES[value];
+  const n = Number(value);
+  if (Number.isInteger(n) && n >= 0 && n <= CONFIG.MAX_PRIORITY) return n;
+  throw new Error(`priority must be one of ${Object.keys(PRIORITY_LANES).join(", ")} or 0-${CONFIG.MAX_PRIORITY}`);
+}
+
+// statuses after which a job can no longer be cancelled
+const FINAL_STATUSES = ["success", "watermarked", "dead", "cancelled"];
+
+// An earlier job for the same bytes + recipe that can stand in for a new upload:
+// still in flight, or finished with its output still in storage.
+// Only the uploader's own jobs are reused, never another user's.
+async function findReusableJob(key, owner) {
+  for (const job of jobStore.findByDedupKey(key)) {
+    if (job.owner !== owner) continue;
+    if (job.cancelRequested || ["dead", "cancelled"].includes(job.status)) continue;
+    if (!FINAL_STATUSES.includes(job.status)) return job;
+    if (job.processedFilename && await storage.exists("processed", job.processedFilename)) return job;
+  }
+  return null;
+}
+
 ///////////////////////
 // Ensure folders & job store exist
 ///////////////////////
 if (!fs.existsSync(CONFIG.UPLOAD_DIR)) fs.mkdirSync(CONFIG.UPLOAD_DIR, { recursive: true });
-if (!fs.existsSync(CONFIG.PROCESSED_DIR)) fs.mkdirSync(CONFIG.PROCESSED_DIR, { recursive: true });
-if (!fs.existsSync(CONFIG.WATERMARKED_DIR)) fs.mkdirSync(CONFIG.WATERMARKED_DIR, { recursive: true });
-if (!fs.existsSync(CONFIG.JOB_STORE)) fs.writeFileSync(CONFIG.JOB_STORE, JSON.stringify({}, null, 2));
+if (!fs.existsSync(CONFIG.PRESET_STORE)) fs.writeFileSync(CONFIG.PRESET_STORE, JSON.stringify({}, null, 2));
+if (!fs.existsSync(CONFIG.DLQ_STORE)) fs.writeFileSync(CONFIG.DLQ_STORE, JSON.stringify({}, null, 2));
 CONFIG.WATERMARK_QUEUE = process.env.WATERMARK_QUEUE || "watermark_jobs";
-CONFIG.WATERMARKED_DIR = path.join(__dirname, "watermarked");
-if (!fs.existsSync(CONFIG.WATERMARKED_DIR)) fs.mkdirSync(CONFIG.WATERMARKED_DIR, { recursive: true });
 
+// uploads, processed/watermarked images and logos (local disk or S3, see lib/storage)
+const storage = createStorage();
+
+
+///////////////////////
+// Job store (SQLite by default, see lib/job-store)
+///////////////////////
+const jobStore = createJobStore();
+try {
+  const imported = jobStore.importJobsJson(LEGACY_JSON_FILE);
+  if (imported) console.log(`Imported ${imported} job(s) from ${LEGACY_JSON_FILE}`);
+} catch (e) {
+  console.error("Failed to import legacy jobs.json:", e);
+}
+
+///////////////////////
+// Webhook subscriptions and delivery log (see lib/webhooks)
+///////////////////////
+const webhooks = createWebhooks({ file: CONFIG.WEBHOOK_STORE, logFile: CONFIG.WEBHOOK_LOG });
+const resumedDeliveries = webhooks.resume();
+if (resumedDeliveries) console.log(`Resuming ${resumedDeliveries} pending webhook deliveries`);
+
+// job messages not yet confirmed by RabbitMQ (see "Publishing jobs")
+const outbox = createOutbox({ file: CONFIG.OUTBOX_STORE });
 
 ///////////////////////
-// Job store helpers (atomic write)
+// Users, API keys and dashboard sessions (see lib/auth)
 ///////////////////////
-function readJobs() {
+const auth = createAuth({ file: CONFIG.USER_STORE });
+try {
+  // first start: an admin from ADMIN_USERNAME / ADMIN_PASSWORD, or a generated password
+  const bootstrap = auth.ensureAdmin({ username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD });
+  if (bootstrap?.password) {
+    console.log(`Created admin user "${bootstrap.user.username}" with password: ${bootstrap.password}`);
+  } else if (bootstrap) {
+    console.log(`Created admin user "${bootstrap.user.username}"`);
+  }
+} catch (e) {
+  console.error("Failed to create the initial admin user:", e.message);
+}
+
+const isAdmin = (user) => user?.role === "admin";
+
+// admins see everything; users only their own jobs and batches
+function canAccess(user, record) {
+  if (!record) return false;
+  return isAdmin(user) || (!!record.owner && record.owner === user?.id);
+}
+
+// jobs visible to the user, newest first
+function visibleJobs(user) {
+  const jobs = jobStore.list();
+  return isAdmin(user) ? jobs : jobs.filter(j => j.owner === user.id);
+}
+
+///////////////////////
+// Upload limits: files per user / IP per window and a per-user storage quota
+// (bytes of uploads of the user's jobs still in the job store; DELETE /jobs/:id
+// frees them); admins are exempt from both
+///////////////////////
+const uploadLimiter = createRateLimiter({ limit: CONFIG.UPLOAD_RATE_LIMIT, windowMs: CONFIG.UPLOAD_RATE_WINDOW_MS });
+
+function rateKeys(user, ip) {
+  return isAdmin(user) ? [] : [`user:${user.id}`, `ip:${ip}`];
+}
+
+function quotaLeft(user) {
+  if (isAdmin(user) || !CONFIG.UPLOAD_QUOTA_BYTES) return Infinity;
+  return CONFIG.UPLOAD_QUOTA_BYTES - jobStore.usageByOwner(user.id).bytes;
+}
+
+// 429 before anything is staged once the caller has used up the window
+function uploadRateGuard(req, res, next) {
+  const wait = uploadLimiter.wait(rateKeys(req.user, req.ip));
+  if (!wait) return next();
+  res.set("Retry-After", String(Math.ceil(wait / 1000)));
+  res.status(429).json({ error: `Upload rate limit exceeded, retry in ${Math.ceil(wait / 1000)}s.` });
+}
+
+///////////////////////
+// Dead-letter store (jobId -> dead message with its full payload)
+///////////////////////
+function readDeadLetters() {
+  try {
+    const raw = fs.readFileSync(CONFIG.DLQ_STORE, "utf-8");
+    return raw ? JSON.parse(raw) : {};
+  } catch (e) {
+    console.error("Failed to read dead-letter store, returning empty:", e);
+    return {};
+  }
+}
+
+function writeDeadLetters(dead) {
+  const tmp = CONFIG.DLQ_STORE + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(dead, null, 2));
+  fs.renameSync(tmp, CONFIG.DLQ_STORE);
+}
+
+///////////////////////
+// Watermark preset store (name -> spec) and uploaded logos
+///////////////////////
+function readPresets() {
   try {
-    const raw = fs.readFileSync(CONFIG.JOB_STORE, "utf-8");
+    const raw = fs.readFileSync(CONFIG.PRESET_STORE, "utf-8");
     return raw ? JSON.parse(raw) : {};
   } catch (e) {
-    console.error("Failed to read job store, returning empty:", e);
+    console.error("Failed to read preset store, returning empty:", e);
     return {};
   }
 }
 
-function writeJobs(jobs) {
-  // atomic write: write to temp and rename
-  const tmp = CONFIG.JOB_STORE + ".tmp";
-  fs.writeFileSync(tmp, JSON.stringify(jobs, null, 2));
-  fs.renameSync(tmp, CONFIG.JOB_STORE);
+function writePresets(presets) {
+  const tmp = CONFIG.PRESET_STORE + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(presets, null, 2));
+  fs.renameSync(tmp, CONFIG.PRESET_STORE);
+}
+
+// move an uploaded logo into the "logos" storage area; only real PNGs are accepted
+async function saveLogo(file) {
+  if ((await sniffFile(file.path)) !== "png") throw new Error("watermark logo must be a PNG file");
+  const name = `${uuidv4()}.png`;
+  await storage.putFile("logos", name, file.path);
+  return name;
+}
+
+// spec from a request: optional saved preset, "spec" field (JSON), optional "logo" file
+async function watermarkSpecFromRequest(req) {
+  try {
+    let preset = null;
+    if (req.body.preset) {
+      preset = readPresets()[req.body.preset];
+      if (!preset) throw new Error(`Unknown watermark preset: ${req.body.preset}`);
+    }
+    let spec = req.body.spec;
+    if (typeof spec === "string" && spec) {
+      try {
+        spec = JSON.parse(spec);
+      } catch (e) {
+        throw new Error("watermark spec must be valid JSON");
+      }
+    }
+    if (req.file) spec = { ...spec, logo: await saveLogo(req.file) };
+    return parseWatermarkSpec(spec, preset);
+  } catch (err) {
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    throw err;
+  }
 }
 
 ///////////////////////
 // Express + Socket.io + Multer
 ///////////////////////
 const app = express();
+// behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's address for rate limits
+if (process.env.TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 const server = http.createServer(app);
 const io = new Server(server);
 
-const upload = multer({ dest: CONFIG.UPLOAD_DIR });
+// multer stops a file at the size limit instead of staging it whole
+const upload = multer({
+  dest: CONFIG.UPLOAD_DIR,
+  limits: { fileSize: UPLOAD_LIMITS.maxBytes, files: CONFIG.MAX_UPLOAD },
+});
 
+app.use(express.json());
+// the dashboard pages are public; everything they load from the API is not
 app.use(express.static(path.join(__dirname, "public")));
-// serve processed and watermarked directories
-app.use("/processed", express.static(CONFIG.PROCESSED_DIR));
-app.use("/watermarked", express.static(CONFIG.WATERMARKED_DIR));
+
+// who is calling: API key (Authorization: Bearer / X-API-Key) or session cookie
+app.use((req, res, next) => {
+  req.user = auth.userFromHeaders(req.headers);
+  next();
+});
+
+///////////////////////
+// Login / logout and the current user
+///////////////////////
+// failed logins per IP and per username; blocked callers get 429 before the password is checked
+const loginLimiter = createRateLimiter({ limit: CONFIG.LOGIN_RATE_LIMIT, windowMs: CONFIG.LOGIN_RATE_WINDOW_MS });
+
+app.post("/login", (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== "string" || typeof password !== "string") {
+    return res.status(400).json({ error: "username and password are required." });
+  }
+  const keys = [`ip:${req.ip}`, `login:${username}`];
+  const wait = loginLimiter.wait(keys);
+  if (wait) {
+    res.set("Retry-After", String(Math.ceil(wait / 1000)));
+    return res.status(429).json({ error: `Too many failed logins, retry in ${Math.ceil(wait / 1000)}s.` });
+  }
+  const user = auth.login(username, password);
+  if (!user) {
+    loginLimiter.take(keys);
+    return res.status(401).json({ error: "Invalid username or password." });
+  }
+  res.set("Set-Cookie", auth.sessionCookie(auth.issueSession(user), { secure: req.secure }));
+  res.json(user);
+});
+
+app.post("/logout", (req, res) => {
+  res.set("Set-Cookie", auth.sessionCookie(null, { secure: req.secure }));
+  res.json({ message: "Logged out" });
+});
+
+// every route below needs a user
+app.use(requireUser);
+
+app.get("/me", (req, res) => {
+  const usage = jobStore.usageByOwner(req.user.id);
+  const quota = isAdmin(req.user) ? null : CONFIG.UPLOAD_QUOTA_BYTES || null;
+  res.json({ ...req.user, usage: { ...usage, quotaBytes: quota } });
+});
+
+// API keys of the current user; the key itself is only returned on creation
+app.get("/api-keys", (req, res) => {
+  res.json(auth.listApiKeys(req.user.id));
+});
+
+app.post("/api-keys", (req, res) => {
+  res.status(201).json(auth.createApiKey(req.user.id, req.body?.name));
+});
+
+app.delete("/api-keys/:id", (req, res) => {
+  if (!auth.revokeApiKey(req.user.id, req.params.id)) return res.status(404).json({ error: "API key not found." });
+  res.json({ message: `API key ${req.params.id} revoked` });
+});
+
+// user management: { username, password, role? }
+app.get("/users", requireAdmin, (req, res) => {
+  res.json(auth.listUsers());
+});
+
+app.post("/users", requireAdmin, (req, res) => {
+  try {
+    res.status(201).json(auth.createUser(req.body || {}));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/users/:id", requireAdmin, (req, res) => {
+  if (req.params.id === req.user.id) return res.status(400).json({ error: "You cannot delete yourself." });
+  if (!auth.removeUser(req.params.id)) return res.status(404).json({ error: "User not found." });
+  res.json({ message: `User ${req.params.id} deleted` });
+});
+
+// files belong to whoever owns a job that reads or writes them; files no job
+// knows about (e.g. from before ownership) are admin-only
+function authorizeFile(req, res, next) {
+  if (isAdmin(req.user)) return next();
+  let key;
+  try {
+    key = decodeURIComponent(req.path.slice(1));
+  } catch (e) {
+    return res.status(400).json({ error: "Invalid file name." });
+  }
+  if (!key) return next(); // GET /processed itself lists the gallery
+  if (!jobStore.jobsForFile(key).some(j => canAccess(req.user, j))) {
+    return res.status(404).json({ error: "File not found." });
+  }
+  next();
+}
+
+// local storage is served straight from disk; S3 objects are streamed through
+// the producer or, with STORAGE_SIGNED_URLS=true, redirected to a signed URL
+function serveArea(area) {
+  if (storage.backend === "local") return express.static(storage.dir(area));
+  return async (req, res, next) => {
+    try {
+      const key = decodeURIComponent(req.path.slice(1));
+      if (!key || key.includes("/")) return next();
+      if (CONFIG.SIGNED_URLS) return res.redirect(await storage.signedUrl(area, key));
+      if (!(await storage.exists(area, key))) return res.status(404).json({ error: "File not found." });
+      res.type(contentTypeFor(key));
+      (await storage.stream(area, key)).on("error", next).pipe(res);
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// serve processed and watermarked images
+app.use("/processed", authorizeFile, serveArea("processed"));
+app.use("/watermarked", authorizeFile, serveArea("watermarked"));
 
 
 
@@ -112,16 +432,26 @@ async function connectRabbit() {
       console.warn("RabbitMQ connection closed (producer). Reconnecting in 2s...");
       amqpConn = null;
       amqpChannel = null;
+      metricsChannel = null;
       setTimeout(connectRabbit, 2000);
     });
 
-    const ch = await amqpConn.createChannel();
-    await ch.assertQueue(CONFIG.QUEUE, { durable: true });
+    // confirm channel: a job only counts as queued once the broker confirmed it
+    const ch = await amqpConn.createConfirmChannel();
+    // jobs go to the topic exchange (lib/routing); the old queues are still declared
+    // so that messages published before it keep being drained
+    await assertJobTopology(ch, { maxRetries: CONFIG.MAX_RETRIES });
+    await ch.assertQueue(CONFIG.QUEUE, { durable: true, maxPriority: CONFIG.MAX_PRIORITY });
     await ch.assertQueue(CONFIG.RETRY_QUEUE, { durable: true });
     await ch.assertQueue(CONFIG.DEAD_QUEUE, { durable: true });
     await ch.assertQueue(CONFIG.WATERMARK_QUEUE, { durable: true });
+    // same delay queues the workers declare, so they exist for /metrics before any worker starts
+    await assertRetryQueues(ch, CONFIG.QUEUE, CONFIG.MAX_RETRIES);
+    await assertRetryQueues(ch, CONFIG.WATERMARK_QUEUE, CONFIG.MAX_RETRIES);
 
     await ch.assertExchange(CONFIG.LOG_EXCHANGE, "fanout", { durable: true });
+    // cancel requests to the workers (lib/cancel)
+    await ch.assertExchange(CONTROL_EXCHANGE, "fanout", { durable: true });
 
     // create anonymous queue for logs, bind to exchange
     const qok = await ch.assertQueue("", { exclusive: true });
@@ -131,30 +461,55 @@ async function connectRabbit() {
     ch.consume(qok.queue, (msg) => {
       if (!msg) return;
       try {
-        const log = JSON.parse(msg.content.toString());
-        // update job store
-        const jobs = readJobs();
+        // workers keep no job store: results (and new workflow steps) arrive in their logs.
+        // The step record and metadata go to the job record only, not into history or sockets.
+        const { step, metadata, ...log } = JSON.parse(msg.content.toString());
+        // update job store (atomic per job) and its event history
+        let owner = null;
         if (log.jobId) {
-          jobs[log.jobId] = jobs[log.jobId] || {};
-          jobs[log.jobId].id = log.jobId;
-          // preserve originalName if exists
-          if (!jobs[log.jobId].originalName && log.originalName) jobs[log.jobId].originalName = log.originalName;
-          jobs[log.jobId].filename = log.filename || jobs[log.jobId].filename;
-          if (log.status === "success") {
-            jobs[log.jobId].processedFilename = log.filename;
-          }
-
-          jobs[log.jobId].status = log.status;
-          jobs[log.jobId].retries = log.retries ?? jobs[log.jobId].retries ?? 0;
-          if (log.duration) jobs[log.jobId].duration = log.duration;
-          if (log.error) jobs[log.jobId].error = log.error;
-          jobs[log.jobId].lastUpdated = log.timestamp;
-          // if moved to dead, mark
-          if (log.status === "dead") jobs[log.jobId].status = "dead";
-          writeJobs(jobs);
+          const current = jobStore.get(log.jobId);
+          // a step republished by a redelivered message, a deleted job, or a worker's cancel
+          // of a job that was cancelled while queued (the producer logged that one)
+          if (step ? current : !current || (log.status === "cancelled" && log.worker && current.status === "cancelled")) return;
+          if (step) createStepRecord(log.jobId, step, log.timestamp);
+          // a worker that missed the cancel (e.g. started after it) hears it again
+          if (log.status === "processing" && current?.cancelRequested && amqpChannel) announce(amqpChannel, "cancel", log.jobId);
+
+          const record = jobStore.update(log.jobId, (job) => {
+            // preserve originalName if exists
+            if (!job.originalName && log.originalName) job.originalName = log.originalName;
+            job.filename = log.filename || job.filename;
+            // a watermark job's processedFilename is its input
+            if (log.status === "success" && !job.watermarkedFilename) {
+              job.processedFilename = log.processedFilename || log.filename;
+              if (log.renditions) job.renditions = log.renditions;
+              if (log.dimensions) job.dimensions = log.dimensions;
+              if (metadata) job.metadata = metadata;
+            }
+
+            job.status = log.status;
+            job.retries = log.retries ?? job.retries ?? 0;
+            if (log.duration) job.duration = log.duration;
+            if (log.error) job.error = log.error;
+            // keep every failure so dead letters can show their error history
+            if (log.status === "failed") {
+              job.errors = job.errors || [];
+              job.errors.push({ error: log.error, worker: log.worker, retries: log.retries, timestamp: log.timestamp });
+            }
+            job.lastUpdated = log.timestamp;
+            return job;
+          });
+          owner = record.owner;
+          jobStore.addEvent(log.jobId, log);
+          const event = jobLogEvent(log, record);
+          if (event) webhooks.dispatch(event, { jobId: log.jobId, log, job: jobStore.get(log.jobId) });
+          if (record.workflowId) trackWorkflowStep(record, log);
+          // batches hold the root job of a workflow, later steps report to it
+          for (const batchId of jobStore.batchesForJob(record.workflowId || log.jobId)) checkBatch(batchId);
         }
-        // broadcast to websocket clients
-        io.emit("job_log", log);
+        recordLogMetrics(log);
+        // only the job's owner (and admins) see its logs
+        audience(owner).emit("job_log", log);
       } catch (err) {
         console.error("Error processing incoming log (producer):", err);
       } finally {
@@ -162,16 +517,670 @@ async function connectRabbit() {
       }
     });
 
+    // worker heartbeats -> registry
+    await ch.assertExchange(HEARTBEAT_EXCHANGE, "fanout", { durable: true });
+    const hbq = await ch.assertQueue("", { exclusive: true });
+    await ch.bindQueue(hbq.queue, HEARTBEAT_EXCHANGE, "");
+    ch.consume(hbq.queue, (msg) => {
+      if (!msg) return;
+      try {
+        recordHeartbeat(JSON.parse(msg.content.toString()));
+      } catch (err) {
+        console.error("Invalid heartbeat (producer):", err);
+      }
+    }, { noAck: true });
+
+    // the producer owns the DLQ: every dead message is kept in the dead-letter store
+    ch.consume(CONFIG.DEAD_QUEUE, (msg) => {
+      if (!msg) return;
+      try {
+        recordDeadLetter(JSON.parse(msg.content.toString()));
+      } catch (err) {
+        console.error("Invalid DLQ message (producer):", err);
+      } finally {
+        ch.ack(msg);
+      }
+    });
+
     amqpChannel = ch;
     console.log("Connected to RabbitMQ (producer) and listening logs exchange");
+    flushOutbox();
   } catch (err) {
     console.error("Failed to connect to RabbitMQ (producer):", err);
     setTimeout(connectRabbit, 2000);
   }
 }
 
+sweepUnpublished();
 connectRabbit();
 
+///////////////////////
+// Worker registry (fed by heartbeats, kept in memory)
+///////////////////////
+const workers = new Map(); // workerId -> last heartbeat + stale flag
+
+function workerList() {
+  return Array.from(workers.values()).sort((a, b) => String(a.workerId).localeCompare(String(b.workerId)));
+}
+
+// the fleet as users see it: which jobs a worker holds is for admins only
+function withoutJobIds(list) {
+  return list.map(({ currentJobs, ...w }) => w);
+}
+
+function workersFor(user) {
+  return isAdmin(user) ? workerList() : withoutJobIds(workerList());
+}
+
+function emitWorkers() {
+  const list = workerList();
+  io.to("admins").emit("workers", list);
+  io.except("admins").emit("workers", withoutJobIds(list));
+}
+
+function liveResizeWorkers() {
+  return workerList().filter(w => w.type === "resize" && !w.stale && w.status === "running" && w.operations);
+}
+
+// live resize workers that loaded every operation in ops (null while none has reported)
+function capableWorkers(ops) {
+  const live = liveResizeWorkers();
+  if (!live.length) return null;
+  return live.filter(w => ops.every(op => w.operations.includes(op))).length;
+}
+
+// operations queue (lib/routing) with the most live workers that loaded every
+// plugin operation of a resize recipe; null without such operations or workers
+function operationsQueueFor(recipe) {
+  const ops = recipeOperations(recipe);
+  if (!ops.length) return null;
+  const counts = new Map();
+  for (const w of liveResizeWorkers()) {
+    if (!ops.every(op => w.operations.includes(op))) continue;
+    const key = operationsRoute(w.operations);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const best = [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+  return best ? best[0] : null;
+}
+
+// Routing key of a job: plugin jobs go to capable workers' operations queue, or
+// with none around to their size class queue, where workers lacking the plugins
+// hand them back until DECLINE_LIMIT dead-letters them
+function jobRoute(type, size, recipe) {
+  return (type === "resize" && operationsQueueFor(recipe)) || routingKey(type, size);
+}
+
+function recordHeartbeat(hb) {
+  if (!hb.workerId) return;
+  workers.set(hb.workerId, { ...hb, lastSeen: Date.now(), stale: false });
+  emitWorkers();
+}
+
+// flag workers that stopped sending heartbeats; one that held jobs likely died mid-job
+setInterval(() => {
+  let changed = false;
+  for (const [id, w] of workers) {
+    const silentFor = Date.now() - w.lastSeen;
+    if (silentFor > CONFIG.WORKER_FORGET_MS || (w.status === "stopped" && silentFor > CONFIG.WORKER_STALE_MS)) {
+      workers.delete(id);
+      changed = true;
+    } else if (!w.stale && w.status !== "stopped" && silentFor > CONFIG.WORKER_STALE_MS) {
+      w.stale = true;
+      changed = true;
+      const jobs = w.currentJobs?.length ? ` while holding job(s) ${w.currentJobs.join(", ")}` : "";
+      console.warn(`Worker ${id} (${w.type}) missed heartbeats for ${Math.round(silentFor / 1000)}s${jobs}`);
+    }
+  }
+  if (changed) emitWorkers();
+}, HEARTBEAT_INTERVAL_MS).unref();
+
+///////////////////////
+// Prometheus metrics (GET /metrics)
+///////////////////////
+const metricsRegistry = createRegistry();
+let metricsChannel = null;
+let queueStatsCache = null;
+
+function monitoredQueues() {
+  const queues = [...ROUTING_KEYS, CONFIG.QUEUE, CONFIG.RETRY_QUEUE, CONFIG.DEAD_QUEUE, CONFIG.WATERMARK_QUEUE];
+  for (const q of [...ROUTING_KEYS, CONFIG.QUEUE, CONFIG.WATERMARK_QUEUE]) {
+    for (let attempt = 1; attempt < CONFIG.MAX_RETRIES; attempt++) queues.push(`${q}.retry.${attempt}`);
+  }
+  return queues;
+}
+
+// checkQueue closes the channel when a queue is missing, so it gets its own channel
+async function fetchQueueStats() {
+  if (!amqpConn) return [];
+  if (!metricsChannel) {
+    metricsChannel = await amqpConn.createChannel();
+    metricsChannel.on("error", (err) => console.warn("Metrics channel error:", err.message));
+    metricsChannel.on("close", () => { metricsChannel = null; });
+  }
+  const stats = [];
+  for (const queue of monitoredQueues()) {
+    try {
+      stats.push(await metricsChannel.checkQueue(queue));
+    } catch (err) {
+      break; // channel is gone; report what we have
+    }
+  }
+  return stats;
+}
+
+// one broker round-trip per scrape, shared by the queue gauges
+function queueStats() {
+  if (!queueStatsCache || Date.now() - queueStatsCache.at > 1000) {
+    queueStatsCache = { at: Date.now(), promise: fetchQueueStats().catch(() => []) };
+  }
+  return queueStatsCache.promise;
+}
+
+new client.Gauge({
+  name: `${PREFIX}queue_messages`,
+  help: "Messages ready in each RabbitMQ queue",
+  labelNames: ["queue"],
+  registers: [metricsRegistry],
+  async collect() {
+    this.reset();
+    for (const q of await queueStats()) this.set({ queue: q.queue }, q.messageCount);
+  },
+});
+
+new client.Gauge({
+  name: `${PREFIX}queue_consumers`,
+  help: "Consumers attached to each RabbitMQ queue",
+  labelNames: ["queue"],
+  registers: [metricsRegistry],
+  async collect() {
+    this.reset();
+    for (const q of await queueStats()) this.set({ queue: q.queue }, q.consumerCount);
+  },
+});
+
+new client.Gauge({
+  name: `${PREFIX}jobs`,
+  help: "Jobs in the job store by status",
+  labelNames: ["status"],
+  registers: [metricsRegistry],
+  collect() {
+    this.reset();
+    for (const [status, n] of Object.entries(jobStore.countByStatus())) this.set({ status }, n);
+  },
+});
+
+new client.Gauge({
+  name: `${PREFIX}outbox_jobs`,
+  help: "Jobs waiting in the outbox for RabbitMQ",
+  registers: [metricsRegistry],
+  collect() {
+    this.set(outbox.size());
+  },
+});
+
+new client.Gauge({
+  name: `${PREFIX}workers`,
+  help: "Workers in the registry by type and liveness",
+  labelNames: ["type", "stale"],
+  registers: [metricsRegistry],
+  collect() {
+    this.reset();
+    for (const w of workers.values()) this.inc({ type: w.type, stale: String(w.stale) });
+  },
+});
+
+const jobDuration = new client.Histogram({
+  name: `${PREFIX}job_duration_seconds`,
+  help: "Processing duration reported by workers on success",
+  labelNames: ["worker"],
+  buckets: DURATION_BUCKETS,
+  registers: [metricsRegistry],
+});
+
+const jobsProcessed = new client.Counter({
+  name: `${PREFIX}jobs_processed_total`,
+  help: "Finished job attempts per worker and outcome (throughput)",
+  labelNames: ["worker", "status"],
+  registers: [metricsRegistry],
+});
+
+const jobRetries = new client.Counter({
+  name: `${PREFIX}job_retries_total`,
+  help: "Retries scheduled by workers",
+  registers: [metricsRegistry],
+});
+
+const jobsDead = new client.Counter({
+  name: `${PREFIX}jobs_dead_total`,
+  help: "Jobs moved to the dead-letter queue",
+  registers: [metricsRegistry],
+});
+
+// called for every message on the logs exchange
+function recordLogMetrics(log) {
+  const worker = log.worker == null ? "none" : String(log.worker);
+  if (["success", "failed", "cancelled"].includes(log.status) && log.worker != null) {
+    jobsProcessed.inc({ worker, status: log.status });
+  }
+  if (log.status === "success" && log.duration) jobDuration.observe({ worker }, Number(log.duration));
+  if (log.status === "retried") jobRetries.inc();
+  if (log.status === "dead") jobsDead.inc();
+}
+
+///////////////////////
+// Dead letters: record, replay, purge
+///////////////////////
+function recordDeadLetter(message) {
+  const { type: msgType, error, ...payload } = message;
+  // messages from older workers carry no type
+  const type = msgType || (payload.watermarkedFilename && !payload.recipe ? "watermark" : "resize");
+  const dead = readDeadLetters();
+  // replayed through the exchange, to whichever workers now serve its routing key
+  const key = routingKey(type, payload.sizeClass);
+  dead[payload.jobId] = {
+    id: payload.jobId,
+    type,
+    routingKey: key,
+    queue: key,
+    originalName: payload.originalName || null,
+    // resize jobs keep their upload around; watermark jobs point at the processed image,
+    // later workflow steps at the output of the step before them
+    source: payload.source || (type === "watermark"
+      ? { area: "processed", key: payload.processedFilename }
+      : { area: "uploads", key: payload.filename || path.basename(payload.filepath || "") }),
+    retries: payload.retries,
+    lastError: error || null,
+    payload,
+    deadAt: new Date().toISOString(),
+  };
+  writeDeadLetters(dead);
+}
+
+// where a dead job's input lives; entries recorded before lib/storage only have a local path
+function deadLetterSource(entry) {
+  if (entry.source) return entry.source;
+  if (!entry.originalFile) return null;
+  return { area: entry.type === "watermark" ? "processed" : "uploads", key: path.basename(entry.originalFile) };
+}
+
+async function sourceExists(entry) {
+  const source = deadLetterSource(entry);
+  return !!source?.key && storage.exists(source.area, source.key);
+}
+
+function errorWithStatus(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Re-publish a dead job to its original queue with a fresh retry count.
+// `overrides` may carry a new recipe (resize) or watermark spec (watermark).
+async function replayDeadLetter(id, overrides = {}) {
+  const entry = readDeadLetters()[id];
+  if (!entry) throw errorWithStatus(404, "Dead letter not found.");
+  if (!amqpChannel) throw errorWithStatus(503, "AMQP channel not ready, try again later.");
+  if (!(await sourceExists(entry))) {
+    throw errorWithStatus(409, "Original file for this job no longer exists.");
+  }
+
+  const job = { ...entry.payload, retries: 0 };
+  try {
+    if (entry.type === "resize" && overrides.recipe !== undefined) job.recipe = parseRecipe(overrides.recipe);
+    if (entry.type === "watermark" && overrides.watermark !== undefined) job.watermark = parseWatermarkSpec(overrides.watermark);
+  } catch (err) {
+    throw errorWithStatus(400, err.message);
+  }
+
+  const now = new Date().toISOString();
+  const record = jobStore.update(id, (current) => ({
+    ...current,
+    status: "queued",
+    retries: 0,
+    cancelRequested: false,
+    replayedAt: now,
+    lastUpdated: now,
+    ...(job.recipe && { recipe: job.recipe }),
+    ...(job.watermark && { watermark: job.watermark }),
+  }));
+  // workers that heard an earlier cancel of this job may run it again
+  announce(amqpChannel, "resume", id);
+
+  // entries recorded before the exchange only know their queue (default exchange);
+  // the others are routed again, to whichever workers can run them now
+  const status = await publishJob(job, {
+    exchange: entry.routingKey ? JOB_EXCHANGE : "",
+    routingKey: entry.routingKey ? jobRoute(entry.type, job.sizeClass, job.recipe) : entry.queue,
+    options: { persistent: true, priority: job.priority },
+    log: {
+      jobId: id,
+      filename: record.filename || null,
+      originalName: entry.originalName,
+      status: "queued",
+      replayed: true,
+      retries: 0,
+      worker: null,
+    },
+  });
+
+  const dead = readDeadLetters();
+  delete dead[id];
+  writeDeadLetters(dead);
+  return { id, replayed: true, status };
+}
+
+function purgeDeadLetter(dead, id) {
+  const source = deadLetterSource(dead[id]);
+  // only uploads belong to the dead job; a watermark job's source is a processed image
+  if (source?.key && source.area === "uploads") {
+    storage.remove(source.area, source.key).catch((err) => console.warn(`Failed to delete upload ${source.key}:`, err.message));
+  }
+  delete dead[id];
+}
+
+///////////////////////
+// Publishing jobs: broker confirms + outbox (lib/outbox)
+///////////////////////
+
+// 'queued' log of a job, published right before its message so that it can't
+// arrive after the worker's 'processing' log
+function announceJob({ log }) {
+  if (!log || !amqpChannel) return;
+  amqpChannel.publish(CONFIG.LOG_EXCHANGE, "", Buffer.from(JSON.stringify({ ...log, timestamp: new Date().toISOString() })));
+}
+
+function markPublished({ id }) {
+  if (!jobStore.get(id)) return;
+  jobStore.update(id, (job) => ({ ...job, publishedAt: new Date().toISOString() }));
+}
+
+// jobs cancelled or deleted while waiting in the outbox are not sent anymore
+function outboxSkip({ id }) {
+  const job = jobStore.get(id);
+  return !job || job.status === "cancelled";
+}
+
+// Publish a job message (job.jobId) through the outbox: it stays there until the
+// broker confirms it, and is published again on the next (re)connect otherwise.
+// Resolves "queued" once confirmed, "pending" while it waits in the outbox.
+async function publishJob(job, { exchange = JOB_EXCHANGE, routingKey: key, options, log }) {
+  const entry = { id: job.jobId, exchange, routingKey: key, message: job, options, log };
+  outbox.add(entry);
+  if (!amqpChannel) return "pending";
+  announceJob(entry);
+  if (!(await outbox.publish(amqpChannel, entry))) {
+    console.warn(`Job ${job.jobId} not confirmed by RabbitMQ, kept in the outbox`);
+    return "pending";
+  }
+  markPublished(entry);
+  return "queued";
+}
+
+function flushOutbox() {
+  if (!amqpChannel || !outbox.size()) return;
+  outbox.flush(amqpChannel, { skip: outboxSkip, sending: announceJob, published: markPublished })
+    .then((sent) => sent && console.log(`Outbox: published ${sent} job(s)`))
+    .catch((err) => console.error("Outbox flush failed:", err));
+}
+
+// also retries entries the broker nacked while the connection stayed up
+setInterval(flushOutbox, CONFIG.OUTBOX_FLUSH_MS).unref();
+
+// outbox entry for a job record; null for workflow jobs, whose message carries
+// the workflow definition the record doesn't keep
+function rebuildJobEntry(job) {
+  if (job.workflowId) return null;
+  const createdAt = new Date().toISOString();
+  const log = { jobId: job.id, filename: job.filename, originalName: job.originalName, status: "queued", retries: 0, worker: null };
+  if (job.watermarkedFilename) {
+    const message = {
+      jobId: job.id,
+      processedFilename: job.processedFilename,
+      watermarkedFilename: job.watermarkedFilename,
+      watermark: job.watermark,
+      originalName: job.originalName || null,
+      sizeClass: job.sizeClass || "medium",
+      retries: 0,
+      createdAt,
+    };
+    return { id: job.id, exchange: JOB_EXCHANGE, routingKey: routingKey("watermark", message.sizeClass), message, options: { persistent: true }, log };
+  }
+  const message = {
+    jobId: job.id,
+    filename: job.filename,
+    originalName: job.originalName,
+    recipe: job.recipe,
+    priority: job.priority,
+    sizeClass: job.sizeClass || sizeClass(job.input && job.input.width * job.input.height),
+    batchId: job.batchId,
+    retries: 0,
+    createdAt,
+  };
+  return {
+    id: job.id,
+    exchange: JOB_EXCHANGE,
+    routingKey: jobRoute("resize", message.sizeClass, message.recipe),
+    message,
+    options: { persistent: true, priority: job.priority },
+    log,
+  };
+}
+
+// Startup sweep: "queued" jobs that never reached the broker, i.e. never
+// confirmed (no publishedAt), not in the outbox and without any log event
+// (producers before the outbox stored them while RabbitMQ was down). Workflow
+// steps after the first are published by workers and left alone.
+function sweepUnpublished() {
+  let found = 0;
+  let after = null;
+  do {
+    const page = jobStore.query({ status: "queued", after, limit: 500 });
+    for (const job of page.jobs) {
+      if (job.publishedAt || job.parentJobId || outbox.has(job.id) || jobStore.events(job.id).length) continue;
+      const entry = rebuildJobEntry(job);
+      if (!entry) {
+        console.warn(`Job ${job.id} never reached RabbitMQ and can't be rebuilt (workflow), re-upload it`);
+        continue;
+      }
+      outbox.add(entry);
+      found++;
+    }
+    after = page.next;
+  } while (after);
+  if (found) console.log(`Startup sweep: ${found} queued job(s) never reached RabbitMQ, re-publishing`);
+}
+
+///////////////////////
+// Resize jobs: one per uploaded / imported file
+///////////////////////
+
+// file is { path, originalname } of a staged temp file (multer or lib/import).
+// Files failing the rate limit, validation or quota come back as "rejected" with a reason,
+// new jobs as "queued" (confirmed by RabbitMQ) or "pending" (waiting in the outbox).
+// With a workflow, this job is its first step (the recipe is that step's).
+async function enqueueResize(file, { recipe, workflow, priority, batchId, user, ip }) {
+  const owner = user.id;
+  const reject = (error, extra) => {
+    fs.rmSync(file.path, { force: true });
+    return { originalName: file.originalname, status: "rejected", error, duplicate: false, ...extra };
+  };
+
+  const wait = uploadLimiter.take(rateKeys(user, ip));
+  if (wait) {
+    const retryAfter = Math.ceil(wait / 1000);
+    return reject(`upload rate limit exceeded, retry in ${retryAfter}s`, { retryAfter });
+  }
+
+  let input;
+  try {
+    input = await validateImage(file.path);
+  } catch (err) {
+    return reject(err.message);
+  }
+
+  // same content + same recipe (or workflow) -> hand back the existing job instead of enqueueing again
+  const contentHash = await hashFile(file.path);
+  const key = dedupKey(contentHash, workflow || recipe);
+  const existing = await findReusableJob(key, owner);
+  if (existing) {
+    console.log(`Duplicate upload ${file.originalname} -> job ${existing.id}`);
+    fs.unlinkSync(file.path); // delete temp file
+    return {
+      jobId: existing.id,
+      originalName: file.originalname,
+      status: existing.status,
+      processedFilename: existing.processedFilename || null,
+      duplicate: true,
+    };
+  }
+
+  if (input.bytes > quotaLeft(user)) {
+    return reject(`storage quota of ${CONFIG.UPLOAD_QUOTA_BYTES} bytes exceeded`);
+  }
+
+  // workers on other machines read the upload from storage by its filename
+  const jobId = uuidv4();
+  await storage.putFile("uploads", path.basename(file.path), file.path);
+  const size = sizeClass(input.width * input.height);
+  const job = {
+    jobId,
+    filename: path.basename(file.path),
+    originalName: file.originalname,
+    recipe,
+    priority,
+    sizeClass: size,
+    batchId,
+    ...(workflow && { workflowId: jobId, workflow, stepId: rootStep(workflow).id }),
+    retries: 0,
+    createdAt: new Date().toISOString(),
+  };
+
+  // store initial job record
+  jobStore.put({
+    id: jobId,
+    filename: job.filename,
+    originalName: job.originalName,
+    owner,
+    input,
+    recipe,
+    priority,
+    sizeClass: size,
+    batchId,
+    contentHash,
+    dedupKey: key,
+    ...(workflow && { workflowId: jobId, stepId: job.stepId, workflow: workflowState(workflow, jobId) }),
+    status: "queued",
+    retries: 0,
+    createdAt: job.createdAt,
+    lastUpdated: job.createdAt,
+  });
+
+  // "pending": stored, published from the outbox once RabbitMQ is reachable
+  const status = await publishJob(job, {
+    routingKey: jobRoute("resize", size, recipe),
+    options: { persistent: true, priority },
+    log: { jobId, filename: job.filename, originalName: job.originalName, status: "queued", retries: 0, worker: null },
+  });
+  return { jobId, originalName: file.originalname, status, duplicate: false };
+}
+
+///////////////////////
+// Batches: the jobs of one /upload or /import
+///////////////////////
+
+// Store the batch once its jobs exist. Duplicates join with their existing job,
+// so a batch can already be (partly) done when it is created.
+function createBatch(source, batchId, results, createdAt, owner) {
+  jobStore.putBatch({
+    id: batchId,
+    source,
+    owner,
+    createdAt,
+    jobIds: [...new Set(results.filter(r => r.jobId).map(r => r.jobId))],
+  });
+  return checkBatch(batchId);
+}
+
+// counts by status, percent done, ETA (average time per finished job so far) and failures
+function batchSummary(batch) {
+  const jobs = batch.jobIds.map(id => jobStore.get(id) || { id, status: "unknown" });
+  const counts = {};
+  for (const job of jobs) counts[job.status || "unknown"] = (counts[job.status || "unknown"] || 0) + 1;
+
+  const total = jobs.length;
+  // a workflow's root job only counts once all of its steps are through
+  const done = jobs.filter(j => FINAL_STATUSES.includes(j.status) && j.workflow?.status !== "running").length;
+  const elapsed = Date.now() - new Date(batch.createdAt).getTime();
+  let etaMs = null;
+  if (done === total) etaMs = 0;
+  else if (done) etaMs = Math.round((elapsed / done) * (total - done));
+
+  return {
+    id: batch.id,
+    source: batch.source,
+    owner: batch.owner || null,
+    createdAt: batch.createdAt,
+    completedAt: batch.completedAt || null,
+    total,
+    done,
+    percent: total ? Math.round((done / total) * 100) : 100,
+    complete: done === total,
+    etaMs,
+    counts,
+    failures: jobs
+      .filter(j => ["failed", "retried", "dead"].includes(j.status))
+      .map(j => ({ jobId: j.id, originalName: j.originalName || null, status: j.status, retries: j.retries || 0, error: j.error || null })),
+    jobIds: batch.jobIds,
+  };
+}
+
+// emit progress; batch_completed fires once, when the last job reaches a final status
+function checkBatch(batchId) {
+  const batch = jobStore.getBatch(batchId);
+  if (!batch) return null;
+  const summary = batchSummary(batch);
+  audience(batch.owner).emit("batch_progress", summary);
+  if (summary.complete && !batch.completedAt) {
+    batch.completedAt = new Date().toISOString();
+    jobStore.putBatch(batch);
+    summary.completedAt = batch.completedAt;
+    audience(batch.owner).emit("batch_completed", summary);
+    webhooks.dispatch("batch_completed", summary);
+  }
+  return summary;
+}
+
+///////////////////////
+// Workflows: the root job keeps the status of every step (see lib/workflow)
+///////////////////////
+
+// called for each log of a workflow step job; workflow_completed fires once,
+// when no step is left to run
+// record of a workflow step a worker published (its "queued" log's step), owned like the root job
+function createStepRecord(jobId, step, timestamp) {
+  const root = jobStore.get(step.workflowId) || {};
+  jobStore.put({ ...step, id: jobId, owner: root.owner, status: "queued", retries: 0, lastUpdated: timestamp });
+}
+
+function trackWorkflowStep(record, log) {
+  let finished = false;
+  const root = jobStore.update(record.workflowId, (job) => {
+    if (!job.workflow) return job;
+    const wasRunning = job.workflow.status === "running";
+    job.workflow = advanceWorkflow(job.workflow, record.stepId, log);
+    if (wasRunning && job.workflow.status !== "running") {
+      job.workflow.completedAt = log.timestamp;
+      finished = true;
+    }
+    return job;
+  });
+  if (!finished) return;
+  const payload = { jobId: root.id, originalName: root.originalName || null, workflow: root.workflow };
+  audience(root.owner).emit("workflow_completed", payload);
+  webhooks.dispatch("workflow_completed", payload);
+}
+
 ///////////////////////
 // HTTP endpoints
 ///////////////////////
@@ -181,32 +1190,74 @@ connectRabbit();
 // Error handling middleware for multer
 function multerErrorHandler(err, req, res, next) {
   if (err instanceof multer.MulterError) {
-    if (err.code === "LIMIT_UNEXPECTED_FILE") {
+    if (err.code === "LIMIT_UNEXPECTED_FILE" || err.code === "LIMIT_FILE_COUNT") {
       return res.status(400).json({ error: `Maximum ${CONFIG.MAX_UPLOAD} files allowed.` });
     }
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ error: `File too large (max ${UPLOAD_LIMITS.maxBytes} bytes per file).` });
+    }
     return res.status(400).json({ error: err.message });
   }
   next(err);
 }
 
+// a job runs either a single recipe or a workflow whose first step has the recipe
+function recipeOrWorkflow(body) {
+  const workflow = parseWorkflow(body.workflow, { presets: readPresets() });
+  if (workflow && body.recipe !== undefined && body.recipe !== "") {
+    throw new Error("Send either recipe or workflow (put the recipe in the workflow's first step).");
+  }
+  const recipe = workflow ? rootStep(workflow).recipe : parseRecipe(body.recipe);
+
+  // plugin operations only run on workers that loaded the plugin
+  const recipes = workflow ? workflow.steps.filter(s => s.recipe).map(s => s.recipe) : [recipe];
+  for (const r of recipes) {
+    const ops = recipeOperations(r);
+    if (ops.length && capableWorkers(ops) === 0) {
+      throw new Error(`No running worker supports operation(s): ${ops.join(", ")}.`);
+    }
+  }
+  // later steps are published by workers, which don't know the fleet: route them now
+  if (workflow) {
+    for (const step of workflow.steps) {
+      const route = step.after && step.type === "resize" ? operationsQueueFor(step.recipe) : null;
+      if (route) step.route = route;
+    }
+  }
+  return { recipe, workflow };
+}
+
 // Upload endpoint
 app.post(
   "/upload",
   (req, res, next) => {
-    // Early check before Multer processes files
-    const files = req.files || [];
+    // Early check before Multer processes files: a body this large can't hold
+    // MAX_UPLOAD files that pass validation, so don't stage any of it
     const contentLength = parseInt(req.headers["content-length"] || "0", 10);
-
-    // This only works if files come via multipart/form-data and we can check total number of parts
-    // Otherwise, Multer limit will handle it
+    if (contentLength > UPLOAD_LIMITS.maxBytes * CONFIG.MAX_UPLOAD + 1024 * 1024) {
+      return res.status(413).json({ error: `Upload too large (max ${UPLOAD_LIMITS.maxBytes} bytes per file).` });
+    }
     next();
   },
+  uploadRateGuard,
   upload.array("images", CONFIG.MAX_UPLOAD),
   multerErrorHandler,
   async (req, res) => {
     const files = req.files || [];
     if (!files.length) return res.status(400).json({ error: "No files uploaded." });
 
+    // validate the recipe / workflow before anything is published
+    let recipe;
+    let workflow;
+    let priority;
+    try {
+      ({ recipe, workflow } = recipeOrWorkflow(req.body));
+      priority = parsePriority(req.body.priority);
+    } catch (err) {
+      for (const f of files) fs.unlinkSync(f.path);
+      return res.status(400).json({ error: err.message });
+    }
+
     if (files.length > CONFIG.MAX_UPLOAD) {
       // Safety check if somehow Multer didn't catch
       // Cleanup uploaded temp files
@@ -214,74 +1265,173 @@ app.post(
       return res.status(400).json({ error: `Maximum ${CONFIG.MAX_UPLOAD} files allowed.` });
     }
 
-    const jobs = readJobs();
-    const existingFiles = new Set(fs.readdirSync(CONFIG.PROCESSED_DIR).map(f => f.toLowerCase()));
-
-    for (const file of files) {
-      if (existingFiles.has(file.originalname.toLowerCase())) {
-        console.log(`Skipping already uploaded file: ${file.originalname}`);
-        fs.unlinkSync(file.path); // delete temp file
-        continue; // next file
+    const batchId = uuidv4();
+    const createdAt = new Date().toISOString();
+    const results = [];
+    try {
+      for (const file of files) {
+        results.push(await enqueueResize(file, { recipe, workflow, priority, batchId, user: req.user, ip: req.ip }));
       }
-      const jobId = uuidv4();
-      const job = {
-        jobId,
-        filepath: file.path,
-        filename: path.basename(file.path),
-        originalName: file.originalname,
-        retries: 0,
-        createdAt: new Date().toISOString(),
-      };
-
-      // store initial job record
-      jobs[jobId] = {
-        id: jobId,
-        filename: job.filename,
-        originalName: job.originalName,
-        status: "queued",
-        retries: 0,
-        createdAt: job.createdAt,
-        lastUpdated: job.createdAt,
-      };
+    } catch (err) {
+      // files already handled keep their jobs; report what made it
+      console.error("upload error:", err);
+      const started = results.some(r => r.jobId);
+      if (started) createBatch("upload", batchId, results, createdAt, req.user.id);
+      return res.status(500).json({ error: err.message, batchId: started ? batchId : null, jobs: results });
+    }
 
-      // send message to queue
-      if (amqpChannel) {
-        amqpChannel.sendToQueue(CONFIG.QUEUE, Buffer.from(JSON.stringify(job)), { persistent: true });
-
-        // publish 'queued' log
-        const log = {
-          jobId,
-          filename: job.filename,
-          originalName: job.originalName,
-          status: "queued",
-          retries: 0,
-          worker: null,
-          timestamp: new Date().toISOString(),
-        };
-        amqpChannel.publish(CONFIG.LOG_EXCHANGE, "", Buffer.from(JSON.stringify(log)));
-      } else {
-        console.warn("AMQP channel not ready, cannot queue job");
-      }
+    const rejected = results.filter(r => r.status === "rejected").length;
+    if (results.every(r => r.retryAfter)) {
+      // every file hit the rate limit: nothing wrong with the files themselves
+      const retryAfter = Math.min(...results.map(r => r.retryAfter));
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: `Upload rate limit exceeded, retry in ${retryAfter}s.`,
+        batchId: null,
+        batch: null,
+        jobs: results,
+      });
+    }
+    if (rejected === results.length) {
+      return res.status(400).json({ error: "No file passed validation.", batchId: null, batch: null, jobs: results });
     }
 
-    writeJobs(jobs);
-    res.json({ message: `${files.length} file(s) queued.` });
+    const batch = createBatch("upload", batchId, results, createdAt, req.user.id);
+    const duplicates = results.filter(r => r.duplicate).length;
+    const pending = results.filter(r => r.status === "pending").length;
+    const queued = results.length - duplicates - rejected - pending;
+    const skipped = [
+      pending && `${pending} waiting for RabbitMQ`,
+      duplicates && `${duplicates} duplicate(s) skipped`,
+      rejected && `${rejected} rejected`,
+    ].filter(Boolean);
+    // 202: accepted, but some jobs are not on the broker yet
+    res.status(pending ? 202 : 200).json({
+      message: `${queued} file(s) queued${skipped.length ? `, ${skipped.join(", ")}` : ""}.`,
+      batchId,
+      batch,
+      queued,
+      pending,
+      jobs: results,
+    });
   }
 );
 
 
-// Clear processed (keep .gitkeep)
-app.post("/clear-processed", (req, res) => {
+// Server-side import: exactly one of { urls: [...] }, { directory } or { zip }
+// (paths relative to IMPORT_ROOT), plus optional recipe or workflow / priority like /upload.
+// Every image becomes its own job; fetch/extract failures are reported per item.
+// Only admins may read from the server's filesystem (directory / zip).
+app.post("/import", uploadRateGuard, async (req, res) => {
+  const { urls, directory, zip } = req.body || {};
+  if ([urls, directory, zip].filter(v => v !== undefined).length !== 1) {
+    return res.status(400).json({ error: "Provide exactly one of urls, directory or zip." });
+  }
+  if (urls === undefined && !isAdmin(req.user)) {
+    return res.status(403).json({ error: "Admin role required to import server-side files." });
+  }
+
+  let recipe;
+  let workflow;
+  let priority;
+  try {
+    ({ recipe, workflow } = recipeOrWorkflow(req.body));
+    priority = parsePriority(req.body.priority);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const batchId = uuidv4();
+  const createdAt = new Date().toISOString();
+  const items = [];
+  async function enqueue(source, file) {
+    try {
+      items.push({ source, ...(await enqueueResize(file, { recipe, workflow, priority, batchId, user: req.user, ip: req.ip })) });
+    } catch (err) {
+      fs.rmSync(file.path, { force: true });
+      items.push({ source, error: err.message });
+    }
+  }
+
+  let truncated = false;
   try {
-    const dirs = [CONFIG.PROCESSED_DIR, CONFIG.WATERMARKED_DIR];
-    for (const dir of dirs) {
-      if (!fs.existsSync(dir)) continue;
-      const files = fs.readdirSync(dir);
-      for (const f of files) {
-        if (f === ".gitkeep") continue;
-        const p = path.join(dir, f);
-        if (fs.statSync(p).isFile()) fs.unlinkSync(p);
+    if (urls !== undefined) {
+      if (!Array.isArray(urls) || !urls.length) throw errorWithStatus(400, "urls must be a non-empty array.");
+      if (urls.length > IMPORT_LIMITS.maxItems) {
+        throw errorWithStatus(400, `At most ${IMPORT_LIMITS.maxItems} URLs per import.`);
+      }
+      for (const url of urls.map(String)) {
+        try {
+          await enqueue(url, await fetchToFile(url, CONFIG.UPLOAD_DIR));
+        } catch (err) {
+          items.push({ source: url, error: err.name === "TimeoutError" ? "timed out" : err.message });
+        }
+      }
+    } else if (directory !== undefined) {
+      const dir = importPath(directory);
+      if (!fs.statSync(dir).isDirectory()) throw errorWithStatus(400, "directory is not a directory.");
+      const files = listDirectoryImages(dir);
+      truncated = files.length > IMPORT_LIMITS.maxItems;
+      for (const file of files.slice(0, IMPORT_LIMITS.maxItems)) {
+        const source = path.relative(IMPORT_LIMITS.root, file);
+        try {
+          await enqueue(source, await copyToFile(file, CONFIG.UPLOAD_DIR));
+        } catch (err) {
+          items.push({ source, error: err.message });
+        }
       }
+    } else {
+      const zipFile = importPath(zip);
+      try {
+        ({ truncated } = await extractZipImages(zipFile, CONFIG.UPLOAD_DIR, (item) => (item.error
+          ? items.push({ source: item.source, error: item.error })
+          : enqueue(item.source, item))));
+      } catch (err) {
+        throw errorWithStatus(400, `Invalid ZIP archive: ${err.message}`);
+      }
+    }
+  } catch (err) {
+    if (!err.status) console.error("import error:", err);
+    const started = items.some(i => i.jobId);
+    if (started) createBatch("import", batchId, items, createdAt, req.user.id);
+    return res.status(err.status || 500).json({ error: err.message, batchId: started ? batchId : null, items });
+  }
+
+  const batch = items.some(i => i.jobId) ? createBatch("import", batchId, items, createdAt, req.user.id) : null;
+  const failed = items.filter(i => i.error).length;
+  const duplicates = items.filter(i => i.duplicate).length;
+  const pending = items.filter(i => i.status === "pending").length;
+  const imported = items.length - failed - duplicates;
+  res.status(pending ? 202 : 200).json({
+    message: `${imported - pending} file(s) queued${pending ? `, ${pending} waiting for RabbitMQ` : ""}, ${duplicates} duplicate(s) skipped, ${failed} failed.`,
+    batchId: batch ? batchId : null,
+    batch,
+    imported,
+    pending,
+    duplicates,
+    failed,
+    truncated,
+    items,
+  });
+});
+
+// existing file or directory under IMPORT_ROOT, 400 otherwise
+function importPath(p) {
+  let resolved;
+  try {
+    resolved = resolveImportPath(p);
+  } catch (err) {
+    throw errorWithStatus(400, err.message);
+  }
+  if (!fs.existsSync(resolved)) throw errorWithStatus(400, `${p} not found under the import root.`);
+  return resolved;
+}
+
+// Clear processed (keep .gitkeep)
+app.post("/clear-processed", requireAdmin, async (req, res) => {
+  try {
+    for (const area of ["processed", "watermarked"]) {
+      for (const key of await storage.list(area)) await storage.remove(area, key);
     }
     res.json({ message: "Gallery cleared (processed + watermarked, except .gitkeep)" });
   } catch (err) {
@@ -294,72 +1444,79 @@ app.post("/clear-processed", (req, res) => {
 // add-watermark endpoint
 // Scans processed/ and enqueues watermark jobs only for not-yet-watermarked images
 ///////////////////////
-app.post("/add-watermark", async (req, res) => {
+app.post("/add-watermark", upload.single("logo"), multerErrorHandler, async (req, res) => {
+  let spec;
   try {
-    if (!fs.existsSync(CONFIG.PROCESSED_DIR)) return res.status(400).json({ error: "No processed images available." });
+    spec = await watermarkSpecFromRequest(req);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-    const processedFiles = fs.readdirSync(CONFIG.PROCESSED_DIR).filter(f => /\.(png|jpe?g|gif|webp)$/i.test(f));
+  try {
+    // users only watermark their own images; admins every processed image
+    const jobs = visibleJobs(req.user);
+    // try to find job record that created the processed file
+    const findSource = (fname) => jobs.find(j => j.renditions?.some(r => r.filename === fname))
+      || jobs.find(j => j.processedFilename === fname || j.filename === fname);
+
+    const processedFiles = (await storage.list("processed"))
+      .filter(f => /\.(png|jpe?g|gif|webp|avif)$/i.test(f))
+      .filter(f => isAdmin(req.user) || findSource(f));
     if (!processedFiles.length) return res.status(400).json({ error: "No processed images found." });
+    const watermarkedFiles = new Set(await storage.list("watermarked"));
 
-    const jobs = readJobs();
     let enqueued = 0;
+    let pending = 0;
 
     for (const fname of processedFiles) {
       const ext = path.extname(fname);
       const base = path.basename(fname, ext);
       const wmName = `${base}_wm${ext}`;
-      const wmPath = path.join(CONFIG.WATERMARKED_DIR, wmName);
 
       // skip if already watermarked file exists
-      if (fs.existsSync(wmPath)) continue;
+      if (watermarkedFiles.has(wmName)) continue;
 
+      const source = findSource(fname);
+      const dims = source?.dimensions;
       const jobId = uuidv4();
       const job = {
         jobId,
-        processedPath: path.join(CONFIG.PROCESSED_DIR, fname),
         processedFilename: fname,
         watermarkedFilename: wmName,
-        originalName: (() => {
-          // try to find job record that created the processed file
-          const match = Object.values(jobs).find(j => j.processedFilename === fname || j.filename === fname);
-          return match?.originalName || null;
-        })(),
+        watermark: spec,
+        originalName: source?.originalName || null,
+        sizeClass: sizeClass(dims && dims.width * dims.height),
         retries: 0,
         createdAt: new Date().toISOString(),
       };
 
-      // ensure watermark queue declared (we did earlier in connectRabbit ideally)
-      if (amqpChannel) {
-        amqpChannel.sendToQueue(CONFIG.WATERMARK_QUEUE, Buffer.from(JSON.stringify(job)), { persistent: true });
-        const log = {
-          jobId,
-          filename: wmName,
-          originalName: job.originalName || fname,
-          status: "queued",
-          retries: 0,
-          worker: null,
-          timestamp: new Date().toISOString(),
-        };
-        amqpChannel.publish(CONFIG.LOG_EXCHANGE, "", Buffer.from(JSON.stringify(log)));
-      }
-
-      jobs[jobId] = {
+      jobStore.put({
         id: jobId,
         filename: wmName,
         originalName: job.originalName || fname,
+        // the image's owner keeps seeing it once watermarked
+        owner: source?.owner || req.user.id,
         status: "queued",
         retries: 0,
         createdAt: job.createdAt,
         lastUpdated: job.createdAt,
         processedFilename: fname,
         watermarkedFilename: wmName,
-      };
-
+        watermark: spec,
+        sizeClass: job.sizeClass,
+      });
+
+      const status = await publishJob(job, {
+        routingKey: routingKey("watermark", job.sizeClass),
+        options: { persistent: true },
+        log: { jobId, filename: wmName, originalName: job.originalName || fname, status: "queued", retries: 0, worker: null },
+      });
+      if (status === "pending") pending++;
       enqueued++;
     }
 
-    writeJobs(jobs);
-    return res.json({ enqueued, message: `${enqueued} file(s) enqueued for watermark.` });
+    const waiting = pending ? `, ${pending} waiting for RabbitMQ` : "";
+    return res.status(pending ? 202 : 200).json({ enqueued, pending, message: `${enqueued} file(s) enqueued for watermark${waiting}.` });
   } catch (err) {
     console.error("add-watermark error:", err);
     return res.status(500).json({ error: err.message });
@@ -370,34 +1527,181 @@ app.post("/add-watermark", async (req, res) => {
 
 
 
+///////////////////////
+// Watermark presets
+///////////////////////
+app.get("/watermark-presets", (req, res) => {
+  res.json(readPresets());
+});
+
+app.post("/watermark-presets", requireAdmin, upload.single("logo"), multerErrorHandler, async (req, res) => {
+  const name = String(req.body.name || "").trim();
+  if (!/^[\w-]{1,50}$/.test(name)) {
+    if (req.file) fs.unlinkSync(req.file.path);
+    return res.status(400).json({ error: "Preset name must be 1-50 letters, digits, _ or -." });
+  }
+  try {
+    const { preset, ...body } = req.body;
+    const spec = await watermarkSpecFromRequest({ body, file: req.file });
+    const presets = readPresets();
+    presets[name] = spec;
+    writePresets(presets);
+    res.json({ name, spec });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/watermark-presets/:name", requireAdmin, (req, res) => {
+  const presets = readPresets();
+  if (!presets[req.params.name]) return res.status(404).json({ error: "Preset not found." });
+  delete presets[req.params.name];
+  writePresets(presets);
+  res.json({ message: `Preset ${req.params.name} deleted` });
+});
+
 // Clear jobs (reset job store)
-app.post("/clear-jobs", (req, res) => {
+app.post("/clear-jobs", requireAdmin, (req, res) => {
   try {
-    writeJobs({});
+    jobStore.clear();
     res.json({ message: "Jobs cleared" });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// get jobs
+// get jobs: ?status=&worker=&from=&to=&q=&limit=&cursor= (newest first);
+// users get their own jobs, admins every job or ?owner=<user id>
 app.get("/jobs", (req, res) => {
-  const jobs = readJobs();
-  const arr = Object.values(jobs).sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated));
-  res.json(arr.slice(0, 200));
+  const { status, worker, q } = req.query;
+  const owner = isAdmin(req.user) ? req.query.owner : req.user.id;
+  const limit = req.query.limit === undefined ? 200 : parseInt(req.query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: "limit must be between 1 and 1000." });
+  }
+
+  // from/to accept anything Date understands and compare against lastUpdated
+  const range = {};
+  for (const key of ["from", "to"]) {
+    if (req.query[key] === undefined) continue;
+    const d = new Date(req.query[key]);
+    if (isNaN(d)) return res.status(400).json({ error: `Invalid ${key} date.` });
+    range[key] = d.toISOString();
+  }
+
+  let after = null;
+  if (req.query.cursor) {
+    try {
+      after = JSON.parse(Buffer.from(String(req.query.cursor), "base64url").toString());
+      if (!after || typeof after.updatedAt !== "string" || typeof after.id !== "string") throw new Error();
+    } catch (e) {
+      return res.status(400).json({ error: "Invalid cursor." });
+    }
+  }
+
+  const page = jobStore.query({ status, owner, worker, q, ...range, after, limit });
+  res.json({
+    jobs: page.jobs,
+    nextCursor: page.next ? Buffer.from(JSON.stringify(page.next)).toString("base64url") : null,
+  });
+});
+
+// cancel a job: queued jobs are cancelled right away, running ones at the
+// worker's next checkpoint (announced to the workers, lib/cancel)
+app.post("/jobs/:id/cancel", (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!canAccess(req.user, job)) return res.status(404).json({ error: "Job not found." });
+  if (FINAL_STATUSES.includes(job.status)) return res.status(409).json({ error: `Job is already ${job.status}.` });
+
+  const now = new Date().toISOString();
+  const waiting = ["queued", "failed", "retried"].includes(job.status);
+  const record = jobStore.update(job.id, (r) => ({
+    ...r,
+    cancelRequested: true,
+    cancelRequestedAt: now,
+    ...(waiting && { status: "cancelled", lastUpdated: now }),
+  }));
+
+  if (amqpChannel) announce(amqpChannel, "cancel", job.id);
+  if (waiting && amqpChannel) {
+    const log = {
+      jobId: job.id,
+      filename: job.filename,
+      originalName: job.originalName,
+      status: "cancelled",
+      worker: null,
+      timestamp: now,
+    };
+    amqpChannel.publish(CONFIG.LOG_EXCHANGE, "", Buffer.from(JSON.stringify(log)));
+  }
+
+  res.json({ id: job.id, status: record.status, cancelRequested: true });
+});
+
+// files a job holds in storage: a resize job's renditions, a watermark job's
+// output (its processedFilename is another job's output, not its own)
+function jobOutputs(job) {
+  if (job.watermarkedFilename) return [{ area: "watermarked", key: job.watermarkedFilename }];
+  const keys = new Set([job.processedFilename, ...(job.renditions || []).map(r => r.filename)]);
+  return [...keys].filter(Boolean).map(key => ({ area: "processed", key }));
+}
+
+// delete a finished job with its outputs (and the upload a dead job kept for
+// replay); its upload bytes no longer count towards the owner's quota
+app.delete("/jobs/:id", async (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!canAccess(req.user, job)) return res.status(404).json({ error: "Job not found." });
+  if (!FINAL_STATUSES.includes(job.status)) {
+    return res.status(409).json({ error: `Job is ${job.status}; cancel it first.` });
+  }
+
+  try {
+    for (const { area, key } of jobOutputs(job)) await storage.remove(area, key);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  const dead = readDeadLetters();
+  if (dead[job.id]) {
+    purgeDeadLetter(dead, job.id);
+    writeDeadLetters(dead);
+  }
+  jobStore.remove(job.id);
+  // a cancelled job may still be waiting in a queue: no worker should run it
+  if (amqpChannel) announce(amqpChannel, "cancel", job.id);
+  res.json({ id: job.id, deleted: true, usage: jobStore.usageByOwner(job.owner) });
 });
 
-// processed list with originalName mapping
-app.get("/processed", (req, res) => {
-  const jobs = readJobs();
+// one job with the full timeline of its log events
+app.get("/jobs/:id", (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (job ? !canAccess(req.user, job) : !isAdmin(req.user)) return res.status(404).json({ error: "Job not found." });
+  const timeline = jobStore.events(req.params.id).map(({ jobId, ...event }) => event);
+  if (!job && !timeline.length) return res.status(404).json({ error: "Job not found." });
+  res.json({ ...job, id: req.params.id, timeline });
+});
 
-  const processedFiles = fs.existsSync(CONFIG.PROCESSED_DIR)
-    ? fs.readdirSync(CONFIG.PROCESSED_DIR).filter(f => /\.(png|jpe?g|gif|webp)$/i.test(f))
-    : [];
+// metadata the resize worker read from the original upload (EXIF, GPS, ICC, ...)
+app.get("/jobs/:id/metadata", (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!canAccess(req.user, job)) return res.status(404).json({ error: "Job not found." });
+  if (!job.metadata) return res.status(404).json({ error: `No metadata yet (job is ${job.status || "unknown"}).` });
+  res.json({ id: job.id, originalName: job.originalName || null, metadata: job.metadata });
+});
 
-  const watermarkedFiles = fs.existsSync(CONFIG.WATERMARKED_DIR)
-    ? fs.readdirSync(CONFIG.WATERMARKED_DIR).filter(f => /\.(png|jpe?g|gif|webp)$/i.test(f))
-    : [];
+// processed list with originalName mapping; users only see images of their own jobs
+app.get("/processed", async (req, res) => {
+  const jobs = visibleJobs(req.user);
+  const admin = isAdmin(req.user);
+
+  let processedFiles;
+  let watermarkedFiles;
+  try {
+    const images = (f) => /\.(png|jpe?g|gif|webp|avif)$/i.test(f);
+    processedFiles = (await storage.list("processed")).filter(images);
+    watermarkedFiles = (await storage.list("watermarked")).filter(images);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
 
   const map = new Map();
 
@@ -411,15 +1715,41 @@ app.get("/processed", (req, res) => {
     return `${maybe}${ext}`;
   }
 
+  // jobs with renditions own several processed files; look those up first so
+  // every rendition is grouped under the one original
+  function findProcessedJob(fname) {
+    return jobs.find(j => j.renditions?.some(r => r.filename === fname))
+      || jobs.find(j => j.processedFilename === fname || j.filename === fname);
+  }
+
+  // outputs of later workflow steps are listed on the root job (GET /jobs/:id), not here
+  const laterStep = (j) => j?.workflowId && j.workflowId !== j.id;
+  // the resize job that wrote a processed file (watermark jobs also name it as their input)
+  const resizedBy = (fname) => jobs.find(j => !j.watermarkedFilename
+    && (j.processedFilename === fname || j.renditions?.some(r => r.filename === fname)));
+
+  function watermarkedName(fname) {
+    const ext = path.extname(fname);
+    return `${path.basename(fname, ext)}_wm${ext}`;
+  }
+
   // 1) add processed files
   for (const f of processedFiles) {
-    const match = Object.values(jobs).find(j => j.processedFilename === f || j.filename === f);
+    const match = findProcessedJob(f);
+    if (!match && !admin) continue;
+    // non-primary renditions are listed under their primary entry
+    if (match?.renditions && match.processedFilename !== f) continue;
+    if (laterStep(resizedBy(f))) continue;
+
     const original = match?.originalName || inferOriginalFromProcessed(f);
     map.set(original, {
       url: `/processed/${f}`,   // served from processed directory
       filename: f,
       originalName: original,
       status: match?.status || "processed",
+      renditions: match?.renditions
+        ?.filter(r => processedFiles.includes(r.filename))
+        .map(r => ({ ...r, url: `/processed/${r.filename}` })),
     });
   }
 
@@ -428,15 +1758,24 @@ app.get("/processed", (req, res) => {
     // assume watermarked name pattern: <processed-base>_wm.ext  OR maybe <processed-base>-<id>_wm.ext
     const ext = path.extname(wf);
     const base = path.basename(wf, ext).replace(/_wm$/, ""); // remove _wm if present
+
+    // watermarked renditions replace their processed counterpart inside the group
+    const group = jobs.find(j => j.renditions?.some(r => r.filename === `${base}${ext}`));
+    if (group && group.processedFilename !== `${base}${ext}`) continue;
+    // a workflow watermark of a later step's output, not of the image itself
+    if (laterStep(resizedBy(`${base}${ext}`))) continue;
+
     // find job that produced processed file whose basename matches 'base'
-    const match = Object.values(jobs).find(j => {
+    const match = group || jobs.find(j => {
       const pf = (j.processedFilename || j.filename || "").replace(/\.[^/.]+$/, "");
       return pf === base || pf.startsWith(base);
     });
+    if (!match && !admin) continue;
 
     const original = match?.originalName || `${base}${ext}`;
     // serve watermarked files via /watermarked route
     map.set(original, {
+      ...map.get(original),
       url: `/watermarked/${wf}`,
       filename: wf,
       originalName: original,
@@ -444,22 +1783,229 @@ app.get("/processed", (req, res) => {
     });
   }
 
+  for (const entry of map.values()) {
+    if (!entry.renditions) continue;
+    entry.renditions = entry.renditions.map(r => {
+      const wm = watermarkedName(r.filename);
+      return watermarkedFiles.includes(wm) ? { ...r, url: `/watermarked/${wm}` } : r;
+    });
+  }
+
   res.json(Array.from(map.values()));
 });
 
 
-// dead jobs
-app.get("/dead", (req, res) => {
-  const jobs = readJobs();
-  const dead = Object.values(jobs).filter((j) => j.status === "dead");
-  res.json(dead);
+// ZIP of job outputs named after the original uploads, plus manifest.json.
+// ?jobs=id,id or ?batch=id (default: every resize job of the user) &variant=processed|watermarked
+app.get("/export", async (req, res) => {
+  const variant = req.query.variant || "processed";
+  if (!VARIANTS.includes(variant)) {
+    return res.status(400).json({ error: `variant must be one of: ${VARIANTS.join(", ")}` });
+  }
+
+  let jobs;
+  if (req.query.batch) {
+    const batch = jobStore.getBatch(String(req.query.batch));
+    if (!canAccess(req.user, batch)) return res.status(404).json({ error: "Batch not found." });
+    jobs = batch.jobIds.map(id => jobStore.get(id)).filter(Boolean);
+  } else if (req.query.jobs) {
+    const ids = [...new Set(String(req.query.jobs).split(",").map(s => s.trim()).filter(Boolean))];
+    jobs = ids.map(id => jobStore.get(id)).map(j => (canAccess(req.user, j) ? j : null));
+    const unknown = ids.filter((id, i) => !jobs[i]);
+    if (unknown.length) return res.status(404).json({ error: `Unknown job(s): ${unknown.join(", ")}` });
+  } else {
+    // resize jobs that produced something; watermark jobs point at those same outputs
+    jobs = visibleJobs(req.user).filter(j => !j.watermark && (j.processedFilename || j.renditions));
+  }
+
+  try {
+    const { zip, files } = await createExport(storage, jobs, variant);
+    if (!files) return res.status(404).json({ error: `No ${variant} files to export.` });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    res.set("Content-Type", "application/zip");
+    res.set("Content-Disposition", `attachment; filename="export-${variant}-${stamp}.zip"`);
+    // headers are gone by now; a failing file can only abort the download
+    zip.on("error", (err) => {
+      console.error("export error:", err);
+      res.destroy(err);
+    });
+    zip.outputStream.pipe(res);
+  } catch (err) {
+    console.error("export error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// batch progress: counts by status, percent, ETA, failures
+app.get("/batches/:id", (req, res) => {
+  const batch = jobStore.getBatch(req.params.id);
+  if (!canAccess(req.user, batch)) return res.status(404).json({ error: "Batch not found." });
+  res.json(batchSummary(batch));
+});
+
+///////////////////////
+// Webhooks: { url, events?, secret? }; the secret is only returned on creation.
+// Payloads cover every user's jobs, so subscriptions are admin-only.
+///////////////////////
+app.use("/webhooks", requireAdmin);
+
+app.post("/webhooks", (req, res) => {
+  try {
+    res.status(201).json(webhooks.add(req.body || {}));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/webhooks", (req, res) => {
+  res.json(webhooks.list());
+});
+
+app.get("/webhooks/:id", (req, res) => {
+  const hook = webhooks.get(req.params.id);
+  if (!hook) return res.status(404).json({ error: "Webhook not found." });
+  res.json(hook);
+});
+
+app.delete("/webhooks/:id", (req, res) => {
+  if (!webhooks.remove(req.params.id)) return res.status(404).json({ error: "Webhook not found." });
+  res.json({ message: `Webhook ${req.params.id} deleted` });
+});
+
+// delivery log, newest first
+app.get("/webhooks/:id/deliveries", (req, res) => {
+  if (!webhooks.get(req.params.id)) return res.status(404).json({ error: "Webhook not found." });
+  const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: "limit must be between 1 and 1000." });
+  }
+  res.json(webhooks.deliveries({ webhookId: req.params.id, limit }));
+});
+
+// dead letters: listing, replaying and purging are admin-only
+app.use("/dead", requireAdmin);
+
+// dead letters (newest first)
+app.get("/dead", async (req, res) => {
+  try {
+    const entries = Object.values(readDeadLetters()).sort((a, b) => new Date(b.deadAt) - new Date(a.deadAt));
+    const list = [];
+    for (const { payload, ...entry } of entries) {
+      list.push({ ...entry, originalFileExists: await sourceExists(entry) });
+    }
+    res.json(list);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// bulk replay: { ids?: [...], recipe?, watermark? } - every dead letter when ids is omitted
+app.post("/dead/replay", async (req, res) => {
+  const ids = Array.isArray(req.body.ids) ? req.body.ids : Object.keys(readDeadLetters());
+  // one at a time: every replay rewrites the dead-letter store
+  const results = [];
+  for (const id of ids) {
+    try {
+      results.push(await replayDeadLetter(id, req.body));
+    } catch (err) {
+      results.push({ id, replayed: false, error: err.message });
+    }
+  }
+  res.json({ replayed: results.filter(r => r.replayed).length, results });
+});
+
+// purge every dead letter
+app.delete("/dead", (req, res) => {
+  try {
+    const dead = readDeadLetters();
+    const ids = Object.keys(dead);
+    for (const id of ids) purgeDeadLetter(dead, id);
+    writeDeadLetters(dead);
+    res.json({ purged: ids.length, message: `${ids.length} dead letter(s) purged` });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// single dead letter with payload and error history
+app.get("/dead/:id", async (req, res) => {
+  const entry = readDeadLetters()[req.params.id];
+  if (!entry) return res.status(404).json({ error: "Dead letter not found." });
+  const job = jobStore.get(req.params.id);
+  try {
+    res.json({
+      ...entry,
+      errors: job?.errors || [{ error: entry.lastError, timestamp: entry.deadAt }],
+      originalFileExists: await sourceExists(entry),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// replay one dead letter, optionally with a modified recipe / watermark spec
+app.post("/dead/:id/replay", async (req, res) => {
+  try {
+    res.json(await replayDeadLetter(req.params.id, req.body));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete("/dead/:id", (req, res) => {
+  try {
+    const dead = readDeadLetters();
+    if (!dead[req.params.id]) return res.status(404).json({ error: "Dead letter not found." });
+    purgeDeadLetter(dead, req.params.id);
+    writeDeadLetters(dead);
+    res.json({ message: `Dead letter ${req.params.id} purged` });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// plugin operations for recipe.operations, with how many live workers can run each
+app.get("/operations", (req, res) => {
+  res.json(describeOperations().map(op => ({ ...op, workers: capableWorkers([op.name]) ?? 0 })));
+});
+
+// worker fleet (from heartbeats)
+app.get("/workers", (req, res) => {
+  res.json(workersFor(req.user));
+});
+
+// Prometheus scrape endpoint
+app.get("/metrics", requireAdmin, async (req, res) => {
+  try {
+    res.set("Content-Type", metricsRegistry.contentType);
+    res.end(await metricsRegistry.metrics());
+  } catch (err) {
+    res.status(500).end(err.message);
+  }
 });
 
 ///////////////////////
-// Socket.io events (logging only)
+// Socket.io: same credentials as HTTP (session cookie, or { auth: { apiKey } });
+// every socket joins its user's room, admins also join "admins"
 ///////////////////////
+io.use((socket, next) => {
+  const user = auth.userFromHeaders(socket.request.headers, socket.handshake.auth?.apiKey);
+  if (!user) return next(new Error("Authentication required."));
+  socket.data.user = user;
+  next();
+});
+
+// sockets that may see a job or batch: its owner's and the admins'
+function audience(owner) {
+  return owner ? io.to(`user:${owner}`).to("admins") : io.to("admins");
+}
+
 io.on("connection", (socket) => {
-  console.log("Client connected via socket.io");
+  const { user } = socket.data;
+  socket.join(`user:${user.id}`);
+  if (isAdmin(user)) socket.join("admins");
+  console.log(`Client connected via socket.io (${user.username})`);
   socket.on("disconnect", () => console.log("Client disconnected"));
 });
 
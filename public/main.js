@@ -1,71 +1,193 @@
 const socket = io();
 
+// the session cookie expired or was never set
+socket.on("connect_error", (err) => {
+    if (err.message === "Authentication required.") location.href = "/login.html";
+});
+
 const logsDiv = document.getElementById("logs");
 const gallery = document.getElementById("gallery");
 const statusSpan = document.getElementById("status");
 const fileInput = document.getElementById("images");
 const fileText = document.getElementById("fileText");
 const watermarkBtn = document.getElementById("watermarkBtn"); // ekle
+const deadDiv = document.getElementById("deadLetters");
+const workersBody = document.getElementById("workers");
+const batchProgress = document.getElementById("batchProgress");
+const batchBar = document.getElementById("batchBar");
+const batchText = document.getElementById("batchText");
+
+// Anything users or workers control (file names, errors, ids) goes through this
+// before it lands in an innerHTML template
+function escapeHtml(value) {
+    return String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
 
 // Job tracker
 const jobsMap = {}; // jobId -> log
 
-// Update status element
-function updateStatus() {
-    const allJobs = Object.values(jobsMap);
-    const queuedCount = allJobs.filter(j => j.status === "queued").length;
-    const finishedCount = allJobs.filter(j => ["success","watermarked"].includes(j.status)).length;
+// Current user (GET /me); admin-only controls carry data-admin
+let me = null;
+
+async function loadMe() {
+    const res = await fetch("/me");
+    if (res.status === 401) {
+        location.href = "/login.html";
+        return null;
+    }
+    me = await res.json();
+    document.getElementById("userName").textContent = `${me.username} (${me.role})`;
+    document.querySelectorAll("[data-admin]").forEach((el) => el.classList.toggle("hidden", me.role !== "admin"));
+    return me;
+}
+
+// Batch progress (batch id returned by /upload, updates over socket.io)
+let currentBatch = null;
 
-    const allJobsFinished = queuedCount === 0 && finishedCount > 0;
+function formatEta(ms) {
+    if (ms === null || ms === undefined) return "";
+    const s = Math.ceil(ms / 1000);
+    return s >= 60 ? ` — ~${Math.ceil(s / 60)} min left` : ` — ~${s}s left`;
+}
 
-    if (allJobsFinished) {
-        statusSpan.textContent = "Done";
-        // opsiyonel: fade out
-        setTimeout(() => statusSpan.textContent = "", 3000);
-    } else {
-        statusSpan.textContent = queuedCount > 0 ? `${queuedCount} file(s) queued` : "";
+function renderBatch(batch) {
+    if (!batch || batch.id !== currentBatch) return;
+    batchProgress.classList.remove("hidden");
+    batchBar.style.width = `${batch.percent}%`;
+    batchBar.classList.toggle("bg-red-500", batch.failures.length > 0);
+    const failed = batch.failures.length ? ` — ${batch.failures.length} failing` : "";
+    if (!batch.complete) {
+        batchText.textContent = `${batch.done}/${batch.total} (${batch.percent}%)${formatEta(batch.etaMs)}${failed}`;
+        return;
     }
+    batchText.textContent = `Done: ${batch.done}/${batch.total}${failed}`;
+    setTimeout(() => {
+        if (batch.id === currentBatch) batchProgress.classList.add("hidden");
+    }, 3000);
+}
+
+socket.on("batch_progress", renderBatch);
+socket.on("batch_completed", (batch) => {
+    if (batch.id !== currentBatch) return;
+    renderBatch(batch);
+    statusSpan.textContent = "Done";
+    setTimeout(() => (statusSpan.textContent = ""), 3000);
+});
+
+// Statuses a job can still be cancelled from
+const CANCELLABLE = ["queued", "processing", "retried"];
+
+function cancelButton(jobId, status) {
+    if (!CANCELLABLE.includes(status)) return "";
+    return `<button type="button" data-cancel="${escapeHtml(jobId)}" class="ml-2 px-2 text-xs bg-gray-200 text-gray-700 rounded hover:bg-gray-300">Cancel</button>`;
 }
 
 // Socket Logs
 socket.on("job_log", (log) => {
-    jobsMap[log.jobId] = log;
+    if (log.jobId) jobsMap[log.jobId] = log;
 
     // log div update
     const el = document.createElement("div");
     el.className = `log-item ${log.status || ""}`;
     el.innerHTML = `
-        <b>${log.filename}</b> — <span>${(log.status || "").toUpperCase()}</span>
-        ${log.retries ? ` - retries: ${log.retries}` : ""}
-        ${log.worker ? ` - worker: ${log.worker}` : ""}
-        ${log.duration ? ` - ${log.duration}s` : ""}
-        ${log.error ? ` - error: ${log.error}` : ""}
+        <b>${escapeHtml(log.filename || `worker ${log.worker}`)}</b> — <span>${escapeHtml((log.status || "").toUpperCase())}</span>
+        ${log.retries ? ` - retries: ${escapeHtml(log.retries)}` : ""}
+        ${log.worker ? ` - worker: ${escapeHtml(log.worker)}` : ""}
+        ${log.duration ? ` - ${escapeHtml(log.duration)}s` : ""}
+        ${log.error ? ` - error: ${escapeHtml(log.error)}` : ""}
+        ${cancelButton(log.jobId, log.status)}
         <div class="text-gray-500 text-xs">${new Date(log.timestamp).toLocaleString()}</div>
     `;
     logsDiv.prepend(el);
 
+    // job reached a final state: older log items can't cancel it anymore
+    if (!CANCELLABLE.includes(log.status)) {
+        logsDiv.querySelectorAll(`[data-cancel="${CSS.escape(log.jobId)}"]`).forEach(b => b.remove());
+    }
+
     // galeriyi güncelle
     if (["success","watermarked"].includes(log.status)) loadGallery();
-
-    updateStatus();
+    if (log.status === "dead" || log.replayed) loadDeadLetters();
+loadWorkers();
 });
 
+// srcset for one format of a rendition group: "url 160w, url 480w, ..."
+function srcsetFor(renditions, format) {
+    return renditions
+        .filter(r => r.format === format && r.width)
+        .map(r => `${escapeHtml(r.url)} ${escapeHtml(r.width)}w`)
+        .join(", ");
+}
+
+// Plain <img>, or a responsive <picture> when the job produced renditions
+function renderImage(item) {
+    const img = (srcset) => `<img src="${escapeHtml(item.url)}" ${srcset ? `srcset="${srcset}" sizes="(min-width: 768px) 25vw, 50vw"` : ""} class="w-full rounded-lg shadow-sm" />`;
+    if (!item.renditions || !item.renditions.length) return img("");
+
+    const primary = item.renditions[0].format;
+    const alternates = [...new Set(item.renditions.map(r => r.format))].filter(f => f !== primary);
+    // avif before webp so browsers pick the smallest format they support
+    alternates.sort((a, b) => (a === "avif" ? -1 : b === "avif" ? 1 : 0));
+
+    return `
+                <picture>
+                    ${alternates.map(f => `<source type="image/${escapeHtml(f)}" srcset="${srcsetFor(item.renditions, f)}" sizes="(min-width: 768px) 25vw, 50vw" />`).join("")}
+                    ${img(srcsetFor(item.renditions, primary))}
+                </picture>`;
+}
+
+// Workers
+function formatUptime(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    return h ? `${h}h ${m}m` : `${m}m ${seconds % 60}s`;
+}
+
+function renderWorkers(workers) {
+    workersBody.innerHTML = workers.length
+        ? workers
+            .map(
+                (w) => `
+            <tr class="border-t ${w.stale ? "dead" : ""}">
+                <td class="py-1 font-semibold">${escapeHtml(w.workerId)}</td>
+                <td title="${escapeHtml([...(w.routes || []), ...(w.operations || [])].join(", "))}">${escapeHtml(w.type)}${w.operations?.length ? ` (+${w.operations.length} ops)` : ""}</td>
+                <td>${w.stale ? "STALE" : escapeHtml((w.status || "").toUpperCase())}</td>
+                <td class="truncate max-w-xs">${escapeHtml((w.currentJobs || []).join(", ") || "-")}</td>
+                <td>${escapeHtml(w.processed ?? 0)}</td>
+                <td>${escapeHtml(w.failed ?? 0)}</td>
+                <td>${formatUptime(w.uptime || 0)}</td>
+                <td>${Math.round((w.memory || 0) / 1024 / 1024)} MB</td>
+                <td>${new Date(w.timestamp).toLocaleTimeString()}</td>
+            </tr>
+        `
+            )
+            .join("")
+        : `<tr><td colspan="9" class="py-1 text-gray-500">No workers connected</td></tr>`;
+}
+
+socket.on("workers", renderWorkers);
+
+async function loadWorkers() {
+    const res = await fetch("/workers");
+    renderWorkers(await res.json());
+}
+
 // Load Gallery
 async function loadGallery() {
     const res = await fetch("/processed");
     const imgs = await res.json();
 
     const imageFiles = imgs.filter((i) =>
-        /\.(png|jpg|jpeg|gif|webp)$/i.test(i.filename || i.originalName || "")
+        /\.(png|jpg|jpeg|gif|webp|avif)$/i.test(i.filename || i.originalName || "")
     );
 
     gallery.innerHTML = imageFiles
         .map(
             (item) => `
             <div class="text-center">
-                <img src="${item.url}" class="w-full rounded-lg shadow-sm" />
+                ${renderImage(item)}
                 <div class="text-xs mt-1 text-gray-600">
-                    ${item.originalName || item.filename}
+                    ${escapeHtml(item.originalName || item.filename)}
                 </div>
             </div>
         `
@@ -73,56 +195,138 @@ async function loadGallery() {
         .join("");
 }
 
+// Dead letters
+async function loadDeadLetters() {
+    if (me?.role !== "admin") return;
+    const res = await fetch("/dead");
+    const dead = await res.json();
+
+    deadDiv.innerHTML = dead.length
+        ? dead
+            .map(
+                (d) => `
+            <div class="log-item dead flex items-center gap-3">
+                <div class="mr-auto">
+                    <b>${escapeHtml(d.originalName || d.id)}</b> — ${escapeHtml(d.type)} — retries: ${escapeHtml(d.retries)}
+                    ${d.lastError ? ` - error: ${escapeHtml(d.lastError)}` : ""}
+                    <div class="text-gray-500 text-xs">${new Date(d.deadAt).toLocaleString()}</div>
+                </div>
+                <button type="button" data-replay="${escapeHtml(d.id)}" ${d.originalFileExists ? "" : "disabled title=\"Original file is gone\""}
+                    class="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50">
+                    Replay
+                </button>
+            </div>
+        `
+            )
+            .join("")
+        : `<div class="text-sm text-gray-500">No dead letters</div>`;
+}
+
+deadDiv.addEventListener("click", async (e) => {
+    const id = e.target.dataset.replay;
+    if (!id) return;
+    const res = await fetch(`/dead/${encodeURIComponent(id)}/replay`, { method: "POST" });
+    const data = await res.json();
+    statusSpan.textContent = res.ok ? "Job replayed" : data.error || "Replay failed";
+    loadDeadLetters();
+});
+
+document.getElementById("replayAllBtn").addEventListener("click", async () => {
+    const res = await fetch("/dead/replay", { method: "POST" });
+    const data = await res.json();
+    statusSpan.textContent = res.ok ? `${data.replayed} job(s) replayed` : data.error || "Replay failed";
+    loadDeadLetters();
+});
+
+document.getElementById("purgeDeadBtn").addEventListener("click", async () => {
+    if (!confirm("Purge all dead letters and their uploaded files?")) return;
+    await fetch("/dead", { method: "DELETE" });
+    loadDeadLetters();
+});
+
 // Load Initial Logs
 async function loadJobsOnce() {
-    const res = await fetch("/jobs");
-    const jobs = await res.json();
-    jobs.slice(0, 15).forEach((j) => {
+    const res = await fetch("/jobs?limit=15");
+    const { jobs } = await res.json();
+    jobs.forEach((j) => {
         jobsMap[j.id] = j;
         const el = document.createElement("div");
         el.className = `log-item ${j.status || ""}`;
         el.innerHTML = `
-            <b>${j.filename}</b> — ${(j.status || "").toUpperCase()}
+            <b>${escapeHtml(j.filename)}</b> — ${escapeHtml((j.status || "").toUpperCase())}
+            ${cancelButton(j.id, j.status)}
             <div class="text-gray-500 text-xs">${new Date(j.lastUpdated).toLocaleString()}</div>
         `;
         logsDiv.prepend(el);
     });
-    updateStatus();
 }
 
+// Cancel
+logsDiv.addEventListener("click", async (e) => {
+    const id = e.target.dataset.cancel;
+    if (!id) return;
+    e.target.disabled = true;
+    const res = await fetch(`/jobs/${encodeURIComponent(id)}/cancel`, { method: "POST" });
+    const data = await res.json();
+    statusSpan.textContent = res.ok ? `Job ${data.status === "cancelled" ? "cancelled" : "cancellation requested"}` : data.error || "Cancel failed";
+});
+
 // File select
-document.querySelector("button[type='button']").addEventListener("click", () => fileInput.click());
+document.querySelector("#uploadForm button[type='button']").addEventListener("click", () => fileInput.click());
 fileInput.addEventListener("change", () => {
     fileText.textContent = fileInput.files.length
         ? `${fileInput.files.length} file(s) selected`
         : "No file selected";
 });
 
+// Workflows offered by the upload form (see "Workflows" in the README)
+const WORKFLOWS = {
+    watermark: {
+        steps: [
+            { id: "resize", type: "resize" },
+            { id: "watermark", type: "watermark", after: "resize" },
+        ],
+    },
+    "watermark-thumb": {
+        steps: [
+            { id: "resize", type: "resize" },
+            { id: "watermark", type: "watermark", after: "resize" },
+            { id: "thumb", type: "resize", after: "watermark", recipe: { width: 160 } },
+        ],
+    },
+};
+
 // Upload
 document.getElementById("uploadForm").addEventListener("submit", async (e) => {
     e.preventDefault();
     const files = fileInput.files;
     if (!files.length) return alert("Select files");
 
+    // duplicates are detected server-side by content hash + recipe
     const fd = new FormData();
-    [...files].forEach((f) => {
-        // Duplicate check
-        const exists = Object.values(jobsMap).find(j => j.originalName === f.name);
-        if (exists) {
-            alert(`${f.name} already exists, skipping`);
-        } else {
-            fd.append("images", f);
-        }
-    });
+    [...files].forEach((f) => fd.append("images", f));
 
-    if (!fd.has("images")) return;
+    // interactive uploads jump ahead of bulk imports
+    fd.append("priority", "high");
+
+    const workflow = WORKFLOWS[document.getElementById("workflowSelect").value];
+    if (workflow) fd.append("workflow", JSON.stringify(workflow));
 
     statusSpan.textContent = `${fd.getAll("images").length} file(s) queued for resizing...`;
 
     try {
         const res = await fetch("/upload", { method: "POST", body: fd });
         const data = await res.json();
+        // per-file reasons for files that failed validation / limits
+        const rejected = (data.jobs || []).filter((j) => j.status === "rejected")
+            .map((j) => `${j.originalName}: ${j.error}`);
         if (!res.ok) statusSpan.textContent = data.error || "Resize failed";
+        else statusSpan.textContent = data.message;
+        if (rejected.length) statusSpan.textContent += ` — ${rejected.join("; ")}`;
+        if (data.batchId) {
+            currentBatch = data.batchId;
+            renderBatch(data.batch);
+        }
     } catch (err) {
         statusSpan.textContent = "Resize failed: " + err.message;
     }
@@ -160,6 +364,16 @@ document.getElementById("clearGalleryBtn").addEventListener("click", async () =>
     statusSpan.textContent = "";
 });
 
+// Logout
+document.getElementById("logoutBtn").addEventListener("click", async () => {
+    await fetch("/logout", { method: "POST" });
+    location.href = "/login.html";
+});
+
 // Init
-loadGallery();
-loadJobsOnce();
+loadMe().then((user) => {
+    if (!user) return;
+    loadGallery();
+    loadJobsOnce();
+    loadDeadLetters();
+});
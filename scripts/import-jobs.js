@@ -0,0 +1,21 @@
+// scripts/import-jobs.js
+// Import one or more legacy jobs.json files into the SQLite job store.
+// usage: node scripts/import-jobs.js [path/to/jobs.json ...]
+
+const path = require("path");
+const { createJobStore, LEGACY_JSON_FILE } = require("../lib/job-store");
+
+const files = process.argv.slice(2).map(f => path.resolve(f));
+const store = createJobStore({ backend: "sqlite" });
+
+for (const file of files.length ? files : [LEGACY_JSON_FILE]) {
+  try {
+    const imported = store.importJobsJson(file);
+    console.log(`${file}: ${imported} job(s) imported`);
+  } catch (err) {
+    console.error(`${file}: import failed: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+store.close();
@@ -0,0 +1,80 @@
+// test/import.test.js
+// URL imports must not reach private addresses, on any redirect hop, unless allowlisted
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { IMPORT_LIMITS, fetchToFile } = require("../lib/import");
+
+const PNG = Buffer.from("89504e470d0a1a0a", "hex");
+
+// serves /image.png and /redirect?to=<url>
+async function startServer(t) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://x");
+    if (url.pathname === "/redirect") {
+      res.writeHead(302, { location: url.searchParams.get("to") });
+      return res.end();
+    }
+    res.writeHead(200, { "content-type": "image/png" });
+    res.end(PNG);
+  });
+  await new Promise(resolve => server.listen(0, resolve)); // every interface
+  t.after(() => server.close());
+  return server.address().port;
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "import-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const limits = (options = {}) => ({ ...IMPORT_LIMITS, urlAllowlist: [], ...options });
+
+test("refuses hosts that resolve to private addresses, and private IP literals", async (t) => {
+  const port = await startServer(t);
+  const dir = tempDir(t);
+  for (const url of [`http://localhost:${port}/image.png`, `http://127.0.0.1:${port}/image.png`]) {
+    await assert.rejects(fetchToFile(url, dir, limits()), /private or reserved address/);
+  }
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
+
+test("refuses a redirect to a private address", async (t) => {
+  const port = await startServer(t);
+  const dir = tempDir(t);
+  // 127.0.0.2 stands in for a public address: only localhost's addresses are blocked
+  const blockedAddresses = new net.BlockList();
+  blockedAddresses.addAddress("127.0.0.1", "ipv4");
+  blockedAddresses.addAddress("::1", "ipv6");
+
+  const saved = await fetchToFile(`http://127.0.0.2:${port}/image.png`, dir, limits({ blockedAddresses }));
+  assert.deepStrictEqual(fs.readFileSync(saved.path), PNG);
+
+  const to = encodeURIComponent(`http://localhost:${port}/image.png`);
+  await assert.rejects(
+    fetchToFile(`http://127.0.0.2:${port}/redirect?to=${to}`, dir, limits({ blockedAddresses })),
+    /host localhost resolves to a private or reserved address/,
+  );
+});
+
+test("IMPORT_URL_ALLOWLIST hosts may be internal, other hosts are refused", async (t) => {
+  const port = await startServer(t);
+  const dir = tempDir(t);
+  const urlAllowlist = ["localhost"];
+
+  const saved = await fetchToFile(`http://localhost:${port}/image.png`, dir, limits({ urlAllowlist }));
+  assert.strictEqual(saved.originalname, "image.png");
+  assert.deepStrictEqual(fs.readFileSync(saved.path), PNG);
+
+  const to = encodeURIComponent(`http://127.0.0.1:${port}/image.png`);
+  await assert.rejects(
+    fetchToFile(`http://localhost:${port}/redirect?to=${to}`, dir, limits({ urlAllowlist })),
+    /host 127\.0\.0\.1 is not in IMPORT_URL_ALLOWLIST/,
+  );
+});
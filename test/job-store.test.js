@@ -0,0 +1,34 @@
+// test/job-store.test.js
+// Upload quota usage per owner, for both job store backends
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJobStore } = require("../lib/job-store");
+
+const BACKENDS = {
+  sqlite: (dir) => ({ backend: "sqlite", sqliteFile: path.join(dir, "jobs.db") }),
+  json: (dir) => ({ backend: "json", jsonFile: path.join(dir, "jobs.json") }),
+};
+
+for (const [backend, options] of Object.entries(BACKENDS)) {
+  test(`${backend}: usageByOwner goes down when a job is removed`, (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "job-store-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const jobStore = createJobStore(options(dir));
+
+    const now = new Date().toISOString();
+    jobStore.put({ id: "a", owner: "u1", status: "success", input: { bytes: 300 }, createdAt: now, lastUpdated: now });
+    jobStore.put({ id: "b", owner: "u1", status: "dead", input: { bytes: 200 }, createdAt: now, lastUpdated: now });
+    jobStore.put({ id: "c", owner: "u2", status: "success", input: { bytes: 1000 }, createdAt: now, lastUpdated: now });
+    assert.deepStrictEqual(jobStore.usageByOwner("u1"), { jobs: 2, bytes: 500 });
+
+    jobStore.remove("a");
+    assert.deepStrictEqual(jobStore.usageByOwner("u1"), { jobs: 1, bytes: 200 });
+    jobStore.remove("b");
+    assert.deepStrictEqual(jobStore.usageByOwner("u1"), { jobs: 0, bytes: 0 });
+    assert.deepStrictEqual(jobStore.usageByOwner("u2"), { jobs: 1, bytes: 1000 });
+  });
+}
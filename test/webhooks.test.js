@@ -0,0 +1,121 @@
+// test/webhooks.test.js
+// Webhook deliveries against a local receiver: signature, retries with backoff,
+// delivery log, and which job logs trigger a webhook
+
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createWebhooks, jobLogEvent } = require("../lib/webhooks");
+
+const SECRET = "test-secret-0123456789";
+const BACKOFF = { BASE_MS: 100, MAX_MS: 1000, JITTER: 0 };
+
+// answers with the next of `statuses` (the last one repeats) and records every request
+async function startReceiver(t, statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body, at: Date.now() });
+      res.writeHead(statuses[Math.min(requests.length, statuses.length) - 1]);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+function setup(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createWebhooks({
+    file: path.join(dir, "webhooks.json"),
+    logFile: path.join(dir, "webhook-deliveries.json"),
+    backoff: BACKOFF,
+    ...options,
+  });
+}
+
+// the delivery once it is delivered or failed
+async function settled(webhooks, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const [delivery] = webhooks.deliveries();
+    if (delivery && ["delivered", "failed"].includes(delivery.status)) return delivery;
+    if (Date.now() > deadline) throw new Error(`delivery still ${delivery?.status}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test("deliveries carry an HMAC signature over timestamp and body", async (t) => {
+  const receiver = await startReceiver(t, [200]);
+  const webhooks = setup(t);
+  webhooks.add({ url: receiver.url, events: ["success"], secret: SECRET });
+
+  assert.strictEqual(webhooks.dispatch("success", { jobId: "j1" }), 1);
+  const delivery = await settled(webhooks);
+  assert.strictEqual(delivery.status, "delivered");
+
+  const [{ headers, body }] = receiver.requests;
+  const expected = crypto.createHmac("sha256", SECRET).update(`${headers["x-webhook-timestamp"]}.${body}`).digest("hex");
+  assert.strictEqual(headers["x-webhook-signature"], `sha256=${expected}`);
+  assert.strictEqual(headers["x-webhook-event"], "success");
+  assert.strictEqual(headers["x-webhook-id"], delivery.id);
+  assert.deepStrictEqual(JSON.parse(body).data, { jobId: "j1" });
+});
+
+test("non-2xx responses are retried with backoff and logged", async (t) => {
+  const receiver = await startReceiver(t, [500, 503, 200]);
+  const webhooks = setup(t);
+  const hook = webhooks.add({ url: receiver.url, events: ["dead"], secret: SECRET });
+
+  webhooks.dispatch("dead", { jobId: "j2" });
+  const delivery = await settled(webhooks);
+
+  assert.strictEqual(receiver.requests.length, 3);
+  const [first, second, third] = receiver.requests.map(r => r.at);
+  // BASE_MS after the first failure, twice that after the second
+  assert.ok(second - first >= BACKOFF.BASE_MS - 10, `retried after ${second - first}ms`);
+  assert.ok(third - second >= 2 * BACKOFF.BASE_MS - 10, `retried after ${third - second}ms`);
+  // every attempt is the same delivery
+  assert.strictEqual(new Set(receiver.requests.map(r => r.headers["x-webhook-id"])).size, 1);
+
+  assert.strictEqual(delivery.webhookId, hook.id);
+  assert.strictEqual(delivery.status, "delivered");
+  assert.strictEqual(delivery.attempts, 3);
+  assert.strictEqual(delivery.lastStatusCode, 200);
+  assert.strictEqual(delivery.lastError, null);
+});
+
+test("a delivery fails after maxAttempts", async (t) => {
+  const receiver = await startReceiver(t, [500]);
+  const webhooks = setup(t, { maxAttempts: 2 });
+  webhooks.add({ url: receiver.url, events: ["dead"], secret: SECRET });
+
+  webhooks.dispatch("dead", { jobId: "j3" });
+  const delivery = await settled(webhooks);
+
+  assert.strictEqual(receiver.requests.length, 2);
+  assert.strictEqual(delivery.status, "failed");
+  assert.strictEqual(delivery.attempts, 2);
+  assert.strictEqual(delivery.lastStatusCode, 500);
+  assert.strictEqual(delivery.lastError, "HTTP 500");
+  assert.strictEqual(delivery.nextAttemptAt, null);
+});
+
+test("a watermark job's success log sends no webhook, its watermarked log does", () => {
+  const watermarkJob = { id: "w1", watermarkedFilename: "a_wm.jpg", processedFilename: "a.jpg" };
+  const resizeJob = { id: "r1", processedFilename: "a.jpg" };
+
+  assert.strictEqual(jobLogEvent({ status: "success" }, watermarkJob), null);
+  assert.strictEqual(jobLogEvent({ status: "watermarked" }, watermarkJob), "watermarked");
+  assert.strictEqual(jobLogEvent({ status: "dead" }, watermarkJob), "dead");
+  assert.strictEqual(jobLogEvent({ status: "success" }, resizeJob), "success");
+  assert.strictEqual(jobLogEvent({ status: "processing" }, resizeJob), null);
+});
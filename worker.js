@@ -1,77 +1,172 @@
 // worker.js
+// Job worker: consumes the job queues picked by WORKER_ROUTES (lib/routing) and
+// runs each job with the handler of its type (lib/handlers). Connection, retries,
+// dead-lettering, heartbeats and metrics are the same for every type, e.g.
+//   node worker.js                                  resize, every size class
+//   WORKER_TYPE=watermark node worker.js            watermark
+//   WORKER_ROUTES=image.resize.large node worker.js heavy images only
 const amqp = require("amqplib");
 const sharp = require("sharp");
-const fs = require("fs");
-const path = require("path");
-const { v4: uuidv4 } = require("uuid");
+const { createStorage } = require("./lib/storage");
+const { client, PREFIX, DURATION_BUCKETS, createRegistry, serveMetrics } = require("./lib/metrics");
+const { HEARTBEAT_EXCHANGE, startHeartbeat } = require("./lib/heartbeat");
+const { createCancelSet, listenForCancels } = require("./lib/cancel");
+const { RETRY_HEADER, DECLINE_HEADER, assertRetryQueues, retryCount, sendConfirmed, publishRetry } = require("./lib/retry");
+const {
+  LEGACY_QUEUES, MAX_PRIORITY, SIZE_CLASSES, resolveRoutes, operationsRoute, assertJobTopology, assertOperationsQueue,
+} = require("./lib/routing");
+const { OPERATIONS } = require("./lib/operations");
+const { publishNextSteps } = require("./lib/workflow");
+const { HANDLERS } = require("./lib/handlers");
+
+const WORKER_TYPE = process.env.WORKER_TYPE || "resize";
+if (!HANDLERS[WORKER_TYPE]) throw new Error(`WORKER_TYPE must be one of: ${Object.keys(HANDLERS).join(", ")}`);
+const ROUTES = resolveRoutes((process.env.WORKER_ROUTES || `image.${WORKER_TYPE}.*`).split(",").map(r => r.trim()).filter(Boolean));
+if (process.env.WORKER_TYPE && ROUTES.type !== WORKER_TYPE) {
+  throw new Error(`WORKER_ROUTES select ${ROUTES.type} jobs but WORKER_TYPE is ${WORKER_TYPE}`);
+}
+const handler = HANDLERS[ROUTES.type];
 
 const CONFIG = {
   RABBIT_URL: process.env.RABBIT_URL || "amqp://localhost",
   HEARTBEAT: parseInt(process.env.RABBIT_HEARTBEAT, 10) || 30,
-  QUEUE: "image_jobs",
-  RETRY_QUEUE: "image_retry_jobs",
+  TYPE: ROUTES.type,
+  QUEUES: ROUTES.keys,
+  // resize workers with plugins also take the plugin jobs routed to their set of operations
+  OPERATIONS_QUEUE: ROUTES.type === "resize" && OPERATIONS.size ? operationsRoute([...OPERATIONS.keys()]) : null,
+  // queues from before the topic exchange; drained by workers that serve every size class
+  LEGACY_QUEUE: ROUTES.keys.length === SIZE_CLASSES.length ? LEGACY_QUEUES[ROUTES.type] : null,
+  LEGACY_RETRY_QUEUE: "image_retry_jobs",
   DEAD_QUEUE: "dead_jobs",
   LOG_EXCHANGE: "logs",
-  WORKER_ID: process.env.WORKER_ID || Math.floor(Math.random() * 1000),
+  WORKER_ID: process.env.WORKER_ID || `${ROUTES.type === "watermark" ? "wm-" : ""}${Math.floor(Math.random() * 1000)}`,
   MAX_RETRIES: parseInt(process.env.MAX_RETRIES, 10) || 3,
-  PROCESSED_DIR: path.join(__dirname, "processed"),
-  JOB_STORE: path.join(__dirname, "jobs.json"),
+  METRICS_PORT: parseInt(process.env.METRICS_PORT, 10) || null, // optional /metrics endpoint
+  DECLINE_DELAY_MS: parseInt(process.env.DECLINE_DELAY_MS, 10) || 1000, // before handing back a job we can't run
+  DECLINE_LIMIT: parseInt(process.env.DECLINE_LIMIT, 10) || 10, // hand-backs before such a job is dead-lettered
+  CONCURRENCY: parseInt(process.env.WORKER_CONCURRENCY, 10) || 1, // jobs processed at once
+  // unacked messages the broker hands this worker, across all its queues; extra ones wait for a free slot
+  PREFETCH: parseInt(process.env.WORKER_PREFETCH, 10) || parseInt(process.env.WORKER_CONCURRENCY, 10) || 1,
+  SHUTDOWN_TIMEOUT_MS: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 30000, // drain time on SIGINT/SIGTERM
+  SHARP_CONCURRENCY: parseInt(process.env.SHARP_CONCURRENCY, 10) || 0, // libvips threads per image, 0 = CPU cores
+  SHARP_CACHE_MB: parseInt(process.env.SHARP_CACHE_MB ?? 50, 10) || 0, // libvips operation cache, 0 disables
 };
 
-// Ensure processed dir exists
-if (!fs.existsSync(CONFIG.PROCESSED_DIR)) fs.mkdirSync(CONFIG.PROCESSED_DIR, { recursive: true });
-if (!fs.existsSync(CONFIG.JOB_STORE)) fs.writeFileSync(CONFIG.JOB_STORE, JSON.stringify({}, null, 2));
-
-// Helper functions
-function sanitizeBaseName(name = "") {
-  const base = String(name)
-    .replace(/\.[^/.]+$/, "")
-    .toLowerCase()
-    .normalize("NFKD")
-    .replace(/[^\w\s-]/g, "")
-    .trim()
-    .replace(/\s+/g, "-");
-  return base || "file";
+// every job runs its own pipeline: bound libvips threads and cache per process
+if (CONFIG.SHARP_CONCURRENCY) sharp.concurrency(CONFIG.SHARP_CONCURRENCY);
+sharp.cache(CONFIG.SHARP_CACHE_MB ? { memory: CONFIG.SHARP_CACHE_MB } : false);
+
+// inputs are read from and outputs written to shared storage (lib/storage); the
+// job store is the producer's: results go to it in log events, so a worker only
+// needs RabbitMQ and the storage backend
+const storage = createStorage();
+
+// Worker metrics (served on METRICS_PORT when set)
+const metricsRegistry = createRegistry({ worker: String(CONFIG.WORKER_ID), type: CONFIG.TYPE });
+const jobsTotal = new client.Counter({
+  name: `${PREFIX}worker_jobs_total`,
+  help: "Jobs handled by this worker, by outcome",
+  labelNames: ["status"],
+  registers: [metricsRegistry],
+});
+const jobDuration = new client.Histogram({
+  name: `${PREFIX}worker_job_duration_seconds`,
+  help: "Processing time of successful jobs",
+  buckets: DURATION_BUCKETS,
+  registers: [metricsRegistry],
+});
+const jobsInFlight = new client.Gauge({
+  name: `${PREFIX}worker_jobs_in_flight`,
+  help: "Jobs currently being processed",
+  registers: [metricsRegistry],
+});
+if (CONFIG.METRICS_PORT) serveMetrics(metricsRegistry, CONFIG.METRICS_PORT);
+
+// state reported in heartbeats
+const activeJobs = new Set();
+const stats = { processed: 0, failed: 0 };
+
+// messages being processed (msg -> { jobId, ch }) and ones waiting for a free slot
+const inFlight = new Map();
+const waiting = [];
+let running = 0;
+let stopping = false;
+let session = null; // { connection, ch, heartbeat, consumerTags, publishLog } of the live connection
+
+// resolves true once a slot is free, false when the worker stops first
+function takeSlot() {
+  if (running < CONFIG.CONCURRENCY) {
+    running++;
+    return Promise.resolve(true);
+  }
+  return new Promise((resolve) => waiting.push(resolve));
 }
 
-function shortId(id) {
-  return String(id || "").replace(/-/g, "").slice(0, 8);
+// a freed slot goes straight to the next waiting message
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) next(true);
+  else running--;
 }
 
-// Job store helpers
-function readJobs() {
+function peekJobId(msg) {
   try {
-    const raw = fs.readFileSync(CONFIG.JOB_STORE, "utf-8");
-    return raw ? JSON.parse(raw) : {};
+    return JSON.parse(msg.content.toString()).jobId || null;
   } catch (e) {
-    console.error("Failed to read job store, returning empty:", e);
-    return {};
+    return null;
   }
 }
 
-function writeJobs(jobs) {
-  const tmp = CONFIG.JOB_STORE + ".tmp";
-  fs.writeFileSync(tmp, JSON.stringify(jobs, null, 2));
-  fs.renameSync(tmp, CONFIG.JOB_STORE);
+// POST /jobs/:id/cancel, announced on the job_control exchange (lib/cancel)
+const cancels = createCancelSet();
+
+function isCancelled(jobId) {
+  return cancels.has(jobId);
 }
 
 // Start worker
 async function startWorker() {
   const connection = await amqp.connect(CONFIG.RABBIT_URL, { heartbeat: CONFIG.HEARTBEAT });
-  const ch = await connection.createChannel();
+  // confirm channel: a failed message is only acked once its retry/DLQ copy is on the broker
+  const ch = await connection.createConfirmChannel();
 
   connection.on("error", (err) => console.error("RabbitMQ connection error:", err));
   connection.on("close", () => {
+    if (stopping) return;
     console.error("RabbitMQ closed, reconnecting in 2s...");
-    setTimeout(startWorker, 2000);
+    setTimeout(() => startWorker().catch(retryStart), 2000);
   });
 
-  await ch.assertQueue(CONFIG.QUEUE, { durable: true });
-  await ch.assertQueue(CONFIG.RETRY_QUEUE, { durable: true });
+  await assertJobTopology(ch, { maxRetries: CONFIG.MAX_RETRIES });
+  if (CONFIG.LEGACY_QUEUE) {
+    // must match how the queue was first declared: only image_jobs had priorities
+    await ch.assertQueue(CONFIG.LEGACY_QUEUE, CONFIG.TYPE === "resize" ? { durable: true, maxPriority: MAX_PRIORITY } : { durable: true });
+    await assertRetryQueues(ch, CONFIG.LEGACY_QUEUE, CONFIG.MAX_RETRIES);
+    if (CONFIG.TYPE === "resize") await ch.assertQueue(CONFIG.LEGACY_RETRY_QUEUE, { durable: true });
+  }
+  if (CONFIG.OPERATIONS_QUEUE) await assertOperationsQueue(ch, CONFIG.OPERATIONS_QUEUE, { maxRetries: CONFIG.MAX_RETRIES });
   await ch.assertQueue(CONFIG.DEAD_QUEUE, { durable: true });
   await ch.assertExchange(CONFIG.LOG_EXCHANGE, "fanout", { durable: true });
+  await ch.assertExchange(HEARTBEAT_EXCHANGE, "fanout", { durable: true });
+  await listenForCancels(ch, cancels);
+  // global: one limit for the channel, whichever of the queues the messages come from
+  await ch.prefetch(CONFIG.PREFETCH, true);
+
+  const heartbeat = startHeartbeat(ch, {
+    workerId: CONFIG.WORKER_ID,
+    type: CONFIG.TYPE,
+    getState: () => ({
+      currentJobs: [...activeJobs].filter(Boolean),
+      routes: CONFIG.QUEUES,
+      concurrency: CONFIG.CONCURRENCY,
+      ...(CONFIG.TYPE === "resize" && { operations: [...OPERATIONS.keys()] }),
+      ...stats,
+    }),
+  });
+  connection.on("close", () => heartbeat.stop());
 
-  console.log(`Worker ${CONFIG.WORKER_ID} started`);
+  const queues = [...CONFIG.QUEUES, CONFIG.OPERATIONS_QUEUE, CONFIG.LEGACY_QUEUE].filter(Boolean);
+  console.log(`Worker ${CONFIG.WORKER_ID} (${CONFIG.TYPE}) started on ${queues.join(", ")}, concurrency ${CONFIG.CONCURRENCY}, prefetch ${CONFIG.PREFETCH}`);
 
   function publishLog(payload) {
     try {
@@ -81,161 +176,291 @@ async function startWorker() {
     }
   }
 
-  ch.consume(CONFIG.QUEUE, async (msg) => {
-    if (!msg) return;
+  // settle a message on this connection's channel; once that is closed they do
+  // nothing (the broker requeues every unacked message of a closed channel)
+  function ack(msg) {
+    try {
+      ch.ack(msg);
+    } catch (e) {
+      console.warn(`Worker ${CONFIG.WORKER_ID} could not ack (${e.message}), the broker will redeliver`);
+    }
+  }
+
+  function requeue(msg) {
+    try {
+      ch.nack(msg, false, true);
+    } catch (e) {
+      console.warn(`Worker ${CONFIG.WORKER_ID} could not requeue (${e.message}), the broker will redeliver`);
+    }
+  }
+
+  // remove an object, logging instead of failing the job
+  function discard(area, key) {
+    if (!key) return;
+    storage.remove(area, key).catch((err) => console.warn(`Failed to delete ${area}/${key}:`, err.message));
+  }
+
+  // publish the workflow steps that run on this job's output before acking; if
+  // that fails the message is requeued and its redelivery (skipped as already
+  // done) publishes them again. Resolves to false when the message was requeued.
+  async function handOver(msg, job, output) {
+    try {
+      await publishNextSteps(ch, { publishLog }, job, output);
+      return true;
+    } catch (err) {
+      console.error(`Worker ${CONFIG.WORKER_ID} could not publish next steps of ${job.jobId}:`, err.message);
+      requeue(msg);
+      return false;
+    }
+  }
+
+  // Hand back a job this worker lacks a plugin for, as a copy counting the
+  // hand-backs in a header. The producer routes plugin jobs to capable workers,
+  // so this only happens when none was around; after DECLINE_LIMIT hand-backs
+  // the job goes to the DLQ instead of circling forever.
+  async function decline(msg, queue, job, { reason, retries, dead, log }) {
+    const declines = (Number(msg.properties.headers?.[DECLINE_HEADER]) || 0) + 1;
+    await new Promise((resolve) => setTimeout(resolve, CONFIG.DECLINE_DELAY_MS));
+    try {
+      if (declines >= CONFIG.DECLINE_LIMIT) {
+        const error = `no worker could run it: ${reason} (declined ${declines} times)`;
+        console.warn(`Worker ${CONFIG.WORKER_ID} dead-lettering job ${job.jobId}: ${error}`);
+        await sendConfirmed(
+          ch,
+          CONFIG.DEAD_QUEUE,
+          Buffer.from(JSON.stringify({ ...job, type: CONFIG.TYPE, ...dead, retries, error })),
+          { persistent: true, headers: { [RETRY_HEADER]: retries, [DECLINE_HEADER]: declines } }
+        );
+        log("dead", { retries, error });
+      } else {
+        console.warn(`Worker ${CONFIG.WORKER_ID} ${reason} for job ${job.jobId}, handing it back (${declines}/${CONFIG.DECLINE_LIMIT})`);
+        await sendConfirmed(ch, queue, msg.content, {
+          persistent: true,
+          priority: msg.properties.priority,
+          headers: { ...msg.properties.headers, [DECLINE_HEADER]: declines },
+        });
+      }
+      ack(msg);
+    } catch (err) {
+      console.error(`Worker ${CONFIG.WORKER_ID} could not hand back job ${job.jobId}:`, err.message);
+      requeue(msg);
+    }
+  }
+
+  const handleJob = async (msg, queue) => {
 
     let job;
     try {
       job = JSON.parse(msg.content.toString());
     } catch (e) {
       console.error("Invalid job message, acking and skipping:", e);
-      ch.ack(msg);
+      ack(msg);
       return;
     }
 
-    const { jobId, filepath, filename, originalName, retries = 0 } = job;
-
-    const orig = originalName || filename || path.basename(filepath || "");
-    const base = sanitizeBaseName(orig);
-    const procFilename = `${base}-${shortId(jobId)}.jpg`;
-    const outputPath = path.join(CONFIG.PROCESSED_DIR, procFilename);
+    // valid JSON that is no job object can never run either
+    if (!job || typeof job !== "object" || Array.isArray(job)) {
+      console.error("Job message is not an object, acking and skipping:", msg.content.toString().slice(0, 200));
+      ack(msg);
+      return;
+    }
 
-    publishLog({
+    const { jobId } = job;
+    const retries = retryCount(msg, job);
+    // set by describe() in the try below: a job it throws on (e.g. a bad recipe)
+    // fails like any other attempt and ends up in the DLQ
+    let filename = null;
+    let originalName = job.originalName || null;
+    let dead = {};
+    const log = (status, fields = {}) => publishLog({
       jobId,
-      filename: procFilename,
-      originalName: originalName || null,
-      status: "processing",
+      filename,
+      originalName,
+      status,
       worker: CONFIG.WORKER_ID,
-      retries,
+      ...fields,
       timestamp: new Date().toISOString(),
     });
 
     const start = Date.now();
-
     try {
-      // Simulated failure for first attempt if filename contains 'fail'
-      const failFirstAttempt = orig.toLowerCase().includes("fail") && retries === 0;
-      if (failFirstAttempt) throw new Error("Simulated failure (first attempt for 'fail' filename)");
-
-      await sharp(filepath)
-        .resize({ width: 800, withoutEnlargement: true })
-        .jpeg({ quality: 90 })
-        .toFile(outputPath);
-
-      const duration = ((Date.now() - start) / 1000).toFixed(2);
-
-      // publish success
-      publishLog({
-        jobId,
-        filename: procFilename,
-        originalName: originalName || null,
-        processedFilename: procFilename,
-        status: "success",
-        worker: CONFIG.WORKER_ID,
-        duration,
+      ({ filename, originalName, dead } = handler.describe(job));
+      const result = await handler.run(job, {
+        storage,
+        log,
+        discard,
+        isCancelled: () => isCancelled(jobId),
         retries,
-        timestamp: new Date().toISOString(),
-      });
-
-      // update job store
-      const jobs = readJobs();
-      jobs[jobId] = jobs[jobId] || {};
-      jobs[jobId].processedFilename = procFilename;
-      jobs[jobId].originalName = originalName || jobs[jobId].originalName || orig;
-      jobs[jobId].status = "success";
-      jobs[jobId].lastUpdated = new Date().toISOString();
-      writeJobs(jobs);
-
-      // cleanup uploaded file
-      fs.unlink(filepath, (err) => {
-        if (err) console.warn("Failed to delete uploaded file:", filepath, err.message);
       });
 
-      ch.ack(msg);
+      switch (result.status) {
+        case "cancelled":
+          log("cancelled");
+          console.log(`Worker ${CONFIG.WORKER_ID} cancelled job ${jobId}`);
+          jobsTotal.inc({ status: "cancelled" });
+          ack(msg);
+          return;
+        case "declined":
+          await decline(msg, queue, job, { reason: result.reason, retries, dead, log });
+          return;
+        case "skipped":
+          console.log(`Worker ${CONFIG.WORKER_ID} skipping job ${jobId}, already done`);
+          jobsTotal.inc({ status: "skipped" });
+          break;
+        default:
+          jobsTotal.inc({ status: "success" });
+          stats.processed++;
+          jobDuration.observe((Date.now() - start) / 1000);
+      }
+      if (await handOver(msg, job, result.output)) ack(msg);
     } catch (err) {
       const newRetries = retries + 1;
+      jobsTotal.inc({ status: "failed" });
+      stats.failed++;
       console.error(`Worker ${CONFIG.WORKER_ID} failed job ${jobId}: ${err.message}`);
 
       // log failure
-      publishLog({
-        jobId,
-        filename: procFilename,
-        originalName: originalName || null,
-        status: "failed",
-        worker: CONFIG.WORKER_ID,
-        retries: retries,
-        error: err.message,
-        timestamp: new Date().toISOString(),
-      });
+      log("failed", { retries, error: err.message });
 
-      if (newRetries >= CONFIG.MAX_RETRIES) {
-        // move to DLQ
-        ch.sendToQueue(
-          CONFIG.DEAD_QUEUE,
-          Buffer.from(JSON.stringify({ jobId, filepath, processedFilename: procFilename, retries: newRetries })),
-          { persistent: true }
-        );
-        publishLog({
-          jobId,
-          filename: procFilename,
-          originalName: originalName || null,
-          status: "dead",
-          worker: CONFIG.WORKER_ID,
-          retries: newRetries,
-          timestamp: new Date().toISOString(),
-        });
-      } else {
-        // retry after 3s
-        setTimeout(() => {
-          ch.sendToQueue(
-            CONFIG.RETRY_QUEUE,
-            Buffer.from(JSON.stringify({ ...job, retries: newRetries })),
-            { persistent: true }
+      try {
+        if (newRetries >= CONFIG.MAX_RETRIES) {
+          // move to DLQ (shared by every job type)
+          await sendConfirmed(
+            ch,
+            CONFIG.DEAD_QUEUE,
+            Buffer.from(JSON.stringify({ ...job, type: CONFIG.TYPE, ...dead, retries: newRetries, error: err.message })),
+            { persistent: true, headers: { [RETRY_HEADER]: newRetries } }
           );
-          publishLog({
-            jobId,
-            filename: procFilename,
-            originalName: originalName || null,
-            status: "retried",
-            worker: CONFIG.WORKER_ID,
-            retries: newRetries,
-            timestamp: new Date().toISOString(),
-          });
-        }, 3000);
+          log("dead", { retries: newRetries, error: err.message });
+        } else {
+          // park in the delay queue; RabbitMQ routes it back to the queue it came from when the TTL expires
+          const delay = await publishRetry(ch, queue, msg, newRetries);
+          log("retried", { retries: newRetries, retryInMs: delay });
+        }
+        ack(msg);
+      } catch (publishErr) {
+        // could not hand the job back to the broker: requeue the original instead of losing it
+        console.error(`Worker ${CONFIG.WORKER_ID} could not schedule retry for ${jobId}:`, publishErr.message);
+        requeue(msg);
       }
-
-      ch.ack(msg);
     }
-  }, { noAck: false });
+  };
 
-  // retry queue: push back to main queue
-  ch.consume(CONFIG.RETRY_QUEUE, (msg) => {
-    if (!msg) return;
-    try {
-      const job = JSON.parse(msg.content.toString());
-      ch.sendToQueue(CONFIG.QUEUE, Buffer.from(JSON.stringify(job)), { persistent: true });
-    } catch (e) {
-      console.error("Invalid retry job:", e);
-    } finally {
-      ch.ack(msg);
+  const consumerTags = [];
+  for (const queue of queues) {
+    const { consumerTag } = await ch.consume(queue, async (msg) => {
+      if (!msg) return;
+      // stopping: hand it straight back for another worker
+      if (stopping || !(await takeSlot())) {
+        requeue(msg);
+        return;
+      }
+      const jobId = peekJobId(msg);
+      inFlight.set(msg, { jobId, ch });
+      activeJobs.add(jobId);
+      jobsInFlight.inc();
+      try {
+        await handleJob(msg, queue);
+      } catch (err) {
+        // handleJob settles every message itself; this only keeps a bug from killing the worker
+        console.error(`Worker ${CONFIG.WORKER_ID} failed to handle message of job ${jobId}:`, err);
+      } finally {
+        inFlight.delete(msg);
+        activeJobs.delete(jobId);
+        jobsInFlight.dec();
+        releaseSlot();
+      }
+    }, { noAck: false });
+    consumerTags.push(consumerTag);
+  }
+
+  // legacy retry queue: drain messages left by workers that retried with setTimeout
+  if (CONFIG.TYPE === "resize" && CONFIG.LEGACY_QUEUE) {
+    const { consumerTag } = await ch.consume(CONFIG.LEGACY_RETRY_QUEUE, (msg) => {
+      if (!msg) return;
+      try {
+        const job = JSON.parse(msg.content.toString());
+        ch.sendToQueue(CONFIG.LEGACY_QUEUE, Buffer.from(JSON.stringify(job)), { persistent: true });
+      } catch (e) {
+        console.error("Invalid retry job:", e);
+      } finally {
+        ack(msg);
+      }
+    }, { noAck: false });
+    consumerTags.push(consumerTag);
+  }
+
+  session = { connection, ch, heartbeat, consumerTags, publishLog };
+}
+
+function waitForIdle(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve) => {
+    const check = () => {
+      if (!inFlight.size) return resolve(true);
+      if (Date.now() >= deadline) return resolve(false);
+      setTimeout(check, 100);
+    };
+    check();
+  });
+}
+
+// SIGINT/SIGTERM: stop consuming, let running jobs finish (up to SHUTDOWN_TIMEOUT_MS),
+// requeue the rest and close the connection. A second signal exits at once; the
+// broker then requeues whatever was unacked.
+async function shutdown(signal) {
+  if (stopping) {
+    console.warn(`Worker ${CONFIG.WORKER_ID} received ${signal} again, exiting now`);
+    process.exit(1);
+  }
+  stopping = true;
+  console.log(`Worker ${CONFIG.WORKER_ID} received ${signal}, draining ${inFlight.size} job(s)`);
+
+  const current = session;
+  if (current) {
+    for (const tag of current.consumerTags) {
+      await current.ch.cancel(tag).catch((err) => console.warn("Failed to cancel consumer:", err.message));
     }
-  }, { noAck: false });
+    current.heartbeat.beat("stopping");
+    current.publishLog({
+      jobId: null,
+      filename: null,
+      status: "stopping",
+      worker: CONFIG.WORKER_ID,
+      inFlight: [...inFlight.values()].map(j => j.jobId).filter(Boolean),
+      timestamp: new Date().toISOString(),
+    });
+  }
+  // not started yet: their consumer callbacks nack them
+  for (const resolve of waiting.splice(0)) resolve(false);
 
-  // DLQ logging
-  ch.consume(CONFIG.DEAD_QUEUE, (msg) => {
-    if (!msg) return;
-    try {
-      const job = JSON.parse(msg.content.toString());
-      console.log(`DLQ entry: ${job.jobId} (${job.processedFilename || path.basename(job.filepath || "")})`);
-    } catch (e) {
-      console.error("Invalid DLQ message:", e);
-    } finally {
-      ch.ack(msg);
+  if (!(await waitForIdle(CONFIG.SHUTDOWN_TIMEOUT_MS))) {
+    console.warn(`Worker ${CONFIG.WORKER_ID} requeueing ${inFlight.size} unfinished job(s)`);
+    for (const [msg, { ch }] of inFlight) {
+      try {
+        ch.nack(msg, false, true);
+      } catch (e) {
+        // channel already gone: the broker requeued it
+      }
     }
-  }, { noAck: false });
+  }
+
+  if (current) {
+    current.heartbeat.stop();
+    current.heartbeat.beat("stopped");
+    await current.ch.close().catch(() => {});
+    await current.connection.close().catch(() => {});
+  }
+  console.log(`Worker ${CONFIG.WORKER_ID} stopped`);
+  process.exit(0);
 }
 
-startWorker().catch((err) => {
-  console.error("Worker error:", err);
-  process.exit(1);
-});
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+function retryStart(err) {
+  console.error("Worker failed to connect, retrying in 2s:", err.message);
+  setTimeout(() => startWorker().catch(retryStart), 2000);
+}
+
+startWorker().catch(retryStart);